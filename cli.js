@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+/**
+ * Run a Copilot campaign without the browser, e.g. from CI or cron.
+ * Usage: node cli.js <campaign.yml|campaign.json> [--dry-run] [--output <file>] [--token-env <name>] [--verbose]
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+    APP_CONFIG,
+    ValidationUtils,
+    YamlUtils,
+    PropertyFilter,
+    UseCaseRegistry,
+    APIUtils,
+    RunControl,
+    ExecutionScheduler,
+    Logger,
+    CampaignHooks,
+    getDefaultRepoFilters,
+    describeRepoFilters,
+    resolveTargetRepos,
+    parsePromptFile,
+    normalizePromptMetadata,
+    getUseCaseDisplayName,
+    getFallbackPrompt,
+    primeCopilotEligibility,
+    previewRepository,
+    processRepositories,
+    getResultOutcome,
+    toResultRecord
+} = require('./core.js');
+
+const USAGE = `Usage: node cli.js <campaign.yml|campaign.json> [options]
+
+Options:
+  --dry-run            Preview every issue without creating anything
+  --output <file>      Results file (default: the campaign "output" setting or campaign-results.json)
+  --token-env <name>   Environment variable holding the token (default: GITHUB_TOKEN)
+  --verbose            Log every step of the run
+  --help               Show this help
+
+Exit codes:
+  0  Every repository succeeded or was skipped
+  1  At least one repository failed, was not processed, or could not be assigned to Copilot
+  2  The campaign could not run (invalid campaign file, token or organization)`;
+
+const EXIT_CODES = {
+    SUCCESS: 0,
+    REPOSITORY_FAILURES: 1,
+    CAMPAIGN_ERROR: 2
+};
+
+const SELECTION_METHODS = ['all', 'selected', 'properties'];
+const DUPLICATE_POLICIES = ['skip', 'comment', 'reopen', 'create'];
+
+/**
+ * Error in the command line or the campaign file, reported without a stack trace
+ */
+class CampaignConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CampaignConfigError';
+    }
+}
+
+/**
+ * Parse the command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { campaignFile, dryRun, output, tokenEnv, verbose, help }
+ */
+function parseArgs(argv) {
+    const options = { campaignFile: null, dryRun: false, output: null, tokenEnv: 'GITHUB_TOKEN', verbose: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new CampaignConfigError(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--output':
+                options.output = next();
+                break;
+            case '--token-env':
+                options.tokenEnv = next();
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new CampaignConfigError(`Unknown option: ${arg}`);
+                if (options.campaignFile) throw new CampaignConfigError('Only one campaign file can be given');
+                options.campaignFile = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read a JSON or YAML campaign file
+ * @param {string} file - Path to the campaign file
+ * @returns {Object} Campaign settings
+ */
+function readCampaignFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new CampaignConfigError(`Cannot read the campaign file: ${error.message}`);
+    }
+
+    let campaign;
+    try {
+        campaign = /\.json$/i.test(file) ? JSON.parse(text) : YamlUtils.parse(text);
+    } catch (error) {
+        throw new CampaignConfigError(`Invalid campaign file ${file}: ${error.message}`);
+    }
+
+    if (!campaign || typeof campaign !== 'object' || Array.isArray(campaign)) {
+        throw new CampaignConfigError('The campaign file must contain a map of settings');
+    }
+    return campaign;
+}
+
+/**
+ * Turn the campaign selection into the repository filter, repository list or property filter
+ * @param {Object} selection - Campaign "selection" settings
+ * @returns {Object} { selectionMethod, repoFilters, selectedRepos, selectedProperties }
+ */
+function normalizeSelection(selection = {}) {
+    const selectionMethod = selection.method || 'all';
+    if (!SELECTION_METHODS.includes(selectionMethod)) {
+        throw new CampaignConfigError(`selection.method must be one of ${SELECTION_METHODS.join(', ')}`);
+    }
+
+    // Lists are accepted where the web app uses comma-separated text
+    const filters = selection.filters || {};
+    const asText = (value) => Array.isArray(value) ? value.join(', ') : (value ?? '');
+    const repoFilters = {
+        ...getDefaultRepoFilters(),
+        ...filters,
+        visibility: [].concat(filters.visibility || []),
+        languages: asText(filters.languages),
+        topics: asText(filters.topics),
+        pushedWithinDays: asText(filters.pushedWithinDays)
+    };
+
+    const selectedRepos = [].concat(selection.repositories || []).map(String);
+    if (selectionMethod === 'selected' && selectedRepos.length === 0) {
+        throw new CampaignConfigError('selection.repositories must list at least one repository');
+    }
+
+    const selectedProperties = [].concat(selection.properties || []).map(condition => ({
+        propertyName: condition.propertyName || condition.property,
+        operator: condition.operator,
+        value: asText(condition.value),
+        group: condition.group || 0
+    }));
+    if (selectionMethod === 'properties') {
+        if (selectedProperties.length === 0) {
+            throw new CampaignConfigError('selection.properties must contain at least one condition');
+        }
+        try {
+            PropertyFilter.compile(selectedProperties);
+        } catch (error) {
+            throw new CampaignConfigError(`Invalid custom property filter: ${error.message}`);
+        }
+    }
+
+    return { selectionMethod, repoFilters, selectedRepos, selectedProperties };
+}
+
+/**
+ * Load the prompt from the campaign file, or the use case's own prompt
+ * @param {Object} campaign - Campaign settings
+ * @param {string} baseDir - Directory of the campaign file, prompt paths are relative to it
+ * @returns {Promise<string>} Prompt text including any front-matter
+ */
+async function loadCampaignPrompt(campaign, baseDir) {
+    if (campaign.prompt) {
+        try {
+            return fs.readFileSync(path.resolve(baseDir, campaign.prompt), 'utf8');
+        } catch (error) {
+            throw new CampaignConfigError(`Cannot read the prompt file: ${error.message}`);
+        }
+    }
+
+    // Bundled prompts are served from this folder by the web app
+    const useCase = UseCaseRegistry.get(campaign.useCase);
+    if (!useCase.prompt && useCase.promptUrl && useCase.promptUrl.startsWith('/')) {
+        try {
+            return fs.readFileSync(path.join(__dirname, useCase.promptUrl), 'utf8');
+        } catch (error) {
+            Logger.warn('Bundled prompt not found, using the fallback prompt', { file: useCase.promptUrl });
+            return getFallbackPrompt(campaign.useCase);
+        }
+    }
+
+    try {
+        return await UseCaseRegistry.loadPrompt(campaign.useCase);
+    } catch (error) {
+        Logger.warn('Could not load the use case prompt, using the fallback prompt', { error: error.message });
+        return getFallbackPrompt(campaign.useCase);
+    }
+}
+
+/**
+ * Validate the campaign and build the state the shared campaign logic reads
+ * @param {Object} campaign - Campaign settings
+ * @param {string} token - GitHub token
+ * @returns {Object} State in the shape of the web app's appState
+ */
+function createCampaignState(campaign, token) {
+    if (!ValidationUtils.isValidOrgName(campaign.org)) {
+        throw new CampaignConfigError('org must be a valid organization name');
+    }
+    if (!ValidationUtils.isValidToken(token)) {
+        throw new CampaignConfigError('The token is missing or malformed');
+    }
+
+    const host = ValidationUtils.normalizeHost(campaign.host);
+    if (!host) {
+        throw new CampaignConfigError('host must be a hostname such as github.com or octocorp.ghe.com');
+    }
+
+    const { imported, errors } = UseCaseRegistry.importJSON(JSON.stringify({ useCases: campaign.useCases || [] }));
+    if (errors.length > 0) {
+        throw new CampaignConfigError(`Invalid use cases: ${errors.join('; ')}`);
+    }
+    if (imported.length > 0) {
+        Logger.info('Registered campaign use cases', { ids: imported.map(useCase => useCase.id) });
+    }
+    if (!UseCaseRegistry.get(campaign.useCase)) {
+        const known = UseCaseRegistry.getAll().map(useCase => useCase.id).join(', ');
+        throw new CampaignConfigError(`useCase must be one of ${known}`);
+    }
+
+    const duplicatePolicy = campaign.duplicatePolicy || APP_CONFIG.CAMPAIGN.DEFAULT_DUPLICATE_POLICY;
+    if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+        throw new CampaignConfigError(`duplicatePolicy must be one of ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+
+    return {
+        orgName: campaign.org,
+        authToken: token.trim(),
+        selectedUseCase: campaign.useCase,
+        ...normalizeSelection(campaign.selection),
+        duplicatePolicy,
+        // Projects are picked in the web app only
+        project: null,
+        promptContent: '',
+        promptMetadata: {},
+        propertyValues: null,
+        excludedRepos: new Set(),
+        repoDetails: new Map(),
+        allRepos: [],
+        allProperties: [],
+        ...APIUtils.resolveEndpoints(host)
+    };
+}
+
+/**
+ * Count result entries by outcome
+ * @param {Array<string>} outcomes - Outcome of every repository
+ * @returns {Object} Outcome -> count
+ */
+function countOutcomes(outcomes) {
+    return outcomes.reduce((counts, outcome) => {
+        counts[outcome] = (counts[outcome] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/**
+ * Run the campaign described by the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help || !options.campaignFile) {
+        console.log(USAGE);
+        return options.help ? EXIT_CODES.SUCCESS : EXIT_CODES.CAMPAIGN_ERROR;
+    }
+
+    Logger.level = options.verbose ? 'info' : 'error';
+    CampaignHooks.progress = (message) => console.log(message);
+    // Informational notifications repeat the progress messages, so only problems are printed
+    CampaignHooks.notify = (message, type) => {
+        if (type === 'warning' || type === 'error') console.error(message);
+    };
+
+    const campaign = readCampaignFile(options.campaignFile);
+    UseCaseRegistry.init();
+
+    // The shared campaign logic reads its settings from the global appState, as in the browser
+    globalThis.appState = createCampaignState(campaign, process.env[options.tokenEnv]);
+
+    const { attributes, body } = parsePromptFile(await loadCampaignPrompt(campaign, path.dirname(options.campaignFile)));
+    appState.promptMetadata = normalizePromptMetadata(attributes);
+    appState.promptContent = ValidationUtils.sanitizeString(body.trim());
+    if (!appState.promptContent) {
+        throw new CampaignConfigError('The prompt is empty');
+    }
+
+    const output = path.resolve(options.output || campaign.output || 'campaign-results.json');
+    const startedAt = new Date().toISOString();
+
+    // Ctrl+C stops starting new repositories and aborts requests in flight, then writes the results
+    RunControl.start();
+    process.once('SIGINT', () => {
+        console.error('Cancelling the campaign...');
+        RunControl.cancel();
+    });
+
+    try {
+        await APIUtils.verifyEndpoint();
+
+        console.log(`${options.dryRun ? 'Dry run of' : 'Running'} "${getUseCaseDisplayName(appState.selectedUseCase)}" in ${appState.orgName} (${appState.apiHost})`);
+        if (appState.selectionMethod === 'all') {
+            console.log(`Filters: ${describeRepoFilters(appState.repoFilters) || 'none'}`);
+        } else if (appState.selectionMethod === 'properties') {
+            console.log(`Repositories where ${PropertyFilter.describe(appState.selectedProperties)}`);
+        }
+
+        const targetRepos = await resolveTargetRepos();
+        console.log(`${targetRepos.length} target repositories`);
+        await primeCopilotEligibility(targetRepos);
+
+        const report = {
+            org: appState.orgName,
+            host: appState.apiHost,
+            useCase: appState.selectedUseCase,
+            dryRun: options.dryRun,
+            startedAt,
+            finishedAt: null,
+            cancelled: false,
+            summary: {},
+            results: []
+        };
+        let outcomes;
+
+        if (options.dryRun) {
+            const preview = await ExecutionScheduler.run(targetRepos, repo => previewRepository(repo.name), {
+                onProgress: (completed, total, repo) => console.log(`[${completed}/${total}] ${repo.name}: previewed`)
+            });
+            report.results = preview.map((entry, index) => entry
+                ? {
+                    repository: entry.repo,
+                    title: entry.title,
+                    plannedAction: entry.plannedAction,
+                    labels: entry.labels,
+                    copilotAvailable: entry.copilotError || entry.error ? null : entry.copilotAvailable,
+                    copilotError: entry.copilotError,
+                    error: entry.error,
+                    unresolvedVariables: entry.unresolvedVariables,
+                    body: entry.body
+                }
+                : { repository: targetRepos[index].name, plannedAction: 'Not previewed: the run was cancelled' });
+            outcomes = preview.map(entry => {
+                if (!entry) return 'not-started';
+                if (entry.error) return 'failed';
+                return entry.copilotAvailable ? 'assignable' : 'unassignable';
+            });
+        } else {
+            const results = await processRepositories(targetRepos, (completed, total, repo) =>
+                console.log(`[${completed}/${total}] ${repo.name}: processed`));
+            report.results = results.map(toResultRecord);
+            outcomes = results.map(getResultOutcome);
+        }
+
+        report.finishedAt = new Date().toISOString();
+        report.cancelled = RunControl.cancelled;
+        report.summary = { total: targetRepos.length, ...countOutcomes(outcomes) };
+
+        fs.writeFileSync(output, `${JSON.stringify(report, null, 2)}\n`);
+        console.log(`Summary: ${Object.entries(report.summary).map(([key, count]) => `${key} ${count}`).join(', ')}`);
+        console.log(`Results written to ${output}`);
+
+        const failed = options.dryRun
+            ? ['failed', 'not-started', 'unassignable']
+            : ['failed', 'cancelled', 'not-started', 'unassigned'];
+        return outcomes.some(outcome => failed.includes(outcome))
+            ? EXIT_CODES.REPOSITORY_FAILURES
+            : EXIT_CODES.SUCCESS;
+    } finally {
+        RunControl.finish();
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        if (error instanceof CampaignConfigError) {
+            console.error(`Error: ${error.message}`);
+        } else {
+            console.error(`Campaign failed: ${error.message}`);
+            Logger.error('Campaign failed', error);
+        }
+        process.exitCode = EXIT_CODES.CAMPAIGN_ERROR;
+    });
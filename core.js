@@ -0,0 +1,3110 @@
+/**
+ * Campaign logic shared by the web app (script.js) and the command line (cli.js).
+ * Loaded as a classic script in the browser and with require() in Node.
+ */
+
+/**
+ * Application configuration constants
+ */
+const APP_CONFIG = {
+    API: {
+        GITHUB_BASE_URL: 'https://api.github.com',
+        GITHUB_GRAPHQL_URL: 'https://api.github.com/graphql',
+        REQUEST_TIMEOUT: 30000,
+        MAX_CONCURRENCY: 4,
+        MAX_RETRIES: 3,
+        SECONDARY_RATE_LIMIT_BACKOFF: 60000,
+        CONTENT_CREATION_PER_MINUTE: 80,
+        GRAPHQL_BATCH_SIZE: 50
+    },
+    PAGINATION: {
+        DEFAULT_PAGE_SIZE: 50,
+        MAX_ITEMS: 5000
+    },
+    UI: {
+        AUTO_ADVANCE_DELAY: 500,
+        NOTIFICATION_DURATION: 3000
+    },
+    CAMPAIGN: {
+        // Hidden marker appended to issue bodies to recognise issues created by earlier runs
+        MARKER_PREFIX: 'copilot-agent-quickstart:campaign=',
+        DEFAULT_DUPLICATE_POLICY: 'skip',
+        // Label added to issues closed by a rollback
+        CANCELLED_LABEL: 'campaign-cancelled',
+        // Colors and descriptions campaign labels are created with in every target repository
+        LABELS: {
+            'copilot-agent': { color: '6f42c1', description: 'Work assigned to the GitHub Copilot coding agent' },
+            'campaign-cancelled': { color: 'b60205', description: 'Closed because a Copilot campaign was rolled back' }
+        },
+        // Use case and prompt labels without an entry above; {campaign} is the use case name
+        DEFAULT_LABEL: { color: '1f6feb', description: 'Copilot campaign: {campaign}' },
+        // Project (v2) fields set on campaign issues: a single select, the first iteration field and a text field
+        PROJECT_STATUS_FIELD: 'Status',
+        PROJECT_CAMPAIGN_FIELD: 'Campaign'
+    },
+    PROMPT_LIBRARY: {
+        DEFAULT_REPO: 'github/awesome-copilot',
+        DEFAULT_PATH: 'prompts',
+        // Static hosting cannot list folders, so local prompts are listed in a manifest
+        LOCAL_INDEX: '/prompts/index.json',
+        LOCAL_PATH: '/prompts/',
+        FILE_SUFFIX: '.prompt.md'
+    },
+    // Built-in use cases; teams can register more at runtime through UseCaseRegistry
+    USE_CASES: [
+        {
+            id: 'tests',
+            name: 'Tests Creation',
+            icon: '🧪',
+            description: 'Generate comprehensive test suites for your codebase',
+            promptUrl: '/prompts/unit-test.prompt.md',
+            fallbackPrompt: 'Please help create comprehensive test suites for this repository. Focus on unit tests, integration tests, and ensuring good code coverage.',
+            labels: ['tests'],
+            issueTitle: 'Tests Creation - Copilot Agent Task'
+        },
+        {
+            id: 'documentation',
+            name: 'Code Documentation',
+            icon: '📚',
+            description: 'Create detailed documentation for your projects',
+            promptUrl: '/prompts/documentation.prompt.md',
+            fallbackPrompt: 'Please help improve the documentation for this repository. Include README updates, code comments, and API documentation.',
+            labels: ['documentation'],
+            issueTitle: 'Code Documentation - Copilot Agent Task'
+        },
+        {
+            id: 'technical-debt',
+            name: 'Technical Debt',
+            icon: '🔧',
+            description: 'Identify and refactor technical debt in your code',
+            promptUrl: '/prompts/technical-debt-reduction.prompt.md',
+            fallbackPrompt: 'Please help identify and refactor technical debt in this repository. Focus on code quality, performance improvements, and maintainability.',
+            labels: ['technical-debt'],
+            issueTitle: 'Technical Debt - Copilot Agent Task'
+        }
+    ]
+};
+
+/**
+ * Input validation and sanitization utilities
+ */
+const ValidationUtils = {
+    /**
+     * Sanitize string input to prevent XSS
+     * @param {string} input - Input string to sanitize
+     * @returns {string} Sanitized string
+     */
+    sanitizeString(input) {
+        if (typeof input !== 'string') return '';
+        return input.replace(/[<>'"&]/g, '');
+    },
+
+    /**
+     * Validate GitHub organization name
+     * @param {string} orgName - Organization name to validate
+     * @returns {boolean} True if valid
+     */
+    isValidOrgName(orgName) {
+        if (!orgName || typeof orgName !== 'string') return false;
+        const sanitized = this.sanitizeString(orgName.trim());
+        return /^[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]$|^[a-zA-Z0-9]$/.test(sanitized);
+    },
+
+    /**
+     * Validate GitHub token format (basic check)
+     * @param {string} token - Token to validate
+     * @returns {boolean} True if valid format
+     */
+    isValidToken(token) {
+        if (!token || typeof token !== 'string') return false;
+        const sanitized = token.trim();
+        // GitHub tokens should be alphanumeric with underscores, minimum length
+        return /^[a-zA-Z0-9_]{20,}$/.test(sanitized);
+    },
+
+    /**
+     * Normalize a GitHub host entered by the user
+     * @param {string} input - Host such as github.com, octocorp.ghe.com or github.example.com (https:// optional)
+     * @returns {string|null} Lower-case host (github.com when empty), or null if invalid
+     */
+    normalizeHost(input) {
+        const value = (input || '').trim().toLowerCase()
+            .replace(/^https:\/\//, '')
+            .replace(/\/.*$/, '');
+        if (!value) return 'github.com';
+        // Only hostnames with an optional port are accepted; tokens are never sent over plain http
+        const hostPattern = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*(:\d{1,5})?$/;
+        return hostPattern.test(value) ? value : null;
+    }
+};
+
+/**
+ * Prompt template utilities for per-repository variables such as {{repo.name}}
+ */
+const TemplateUtils = {
+    PLACEHOLDER_PATTERN: /\{\{\s*([\w.-]+)\s*\}\}/g,
+
+    // Repository fields available as {{repo.<field>}}
+    REPO_FIELDS: ['name', 'full_name', 'description', 'language', 'default_branch', 'topics', 'visibility', 'html_url'],
+
+    /**
+     * List the distinct variables used in a template
+     * @param {string} template - Prompt template
+     * @returns {Array<string>} Variable names such as repo.name
+     */
+    getVariables(template) {
+        const variables = new Set();
+        for (const match of (template || '').matchAll(this.PLACEHOLDER_PATTERN)) {
+            variables.add(match[1]);
+        }
+        return [...variables];
+    },
+
+    /**
+     * Check whether a variable can be resolved for a repository
+     * @param {string} name - Variable name
+     * @param {Array<string>} propertyNames - Known custom property names (empty when not loaded)
+     * @returns {boolean} True if the variable is supported
+     */
+    isKnownVariable(name, propertyNames = []) {
+        if (name === 'org') return true;
+        if (name.startsWith('repo.')) return this.REPO_FIELDS.includes(name.slice(5));
+        if (name.startsWith('properties.')) {
+            const propertyName = name.slice(11);
+            return propertyName.length > 0 && (propertyNames.length === 0 || propertyNames.includes(propertyName));
+        }
+        return false;
+    },
+
+    /**
+     * Replace variables in a template; missing values render empty and are reported
+     * @param {string} template - Prompt template
+     * @param {Object} context - { org, repo, properties }
+     * @returns {Object} { text, unresolved } where unresolved lists variables without a value
+     */
+    render(template, context) {
+        const unresolved = new Set();
+        const text = (template || '').replace(this.PLACEHOLDER_PATTERN, (placeholder, name) => {
+            let value;
+            if (name === 'org') {
+                value = context.org;
+            } else if (name.startsWith('repo.')) {
+                value = context.repo ? context.repo[name.slice(5)] : undefined;
+            } else if (name.startsWith('properties.')) {
+                value = context.properties ? context.properties[name.slice(11)] : undefined;
+            }
+            
+            if (Array.isArray(value)) value = value.join(', ');
+            if (value === undefined || value === null || value === '') {
+                unresolved.add(name);
+                return '';
+            }
+            return String(value);
+        });
+        
+        return { text, unresolved: [...unresolved] };
+    }
+};
+
+/**
+ * Minimal YAML reader for prompt front-matter and campaign files.
+ * Supports nested maps and lists, flow lists, quoted and block scalars; anchors and tags are not supported.
+ */
+const YamlUtils = {
+    FRONT_MATTER_PATTERN: /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/,
+    KEY_PATTERN: /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#\-\[{][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+(.*))?$/,
+
+    /**
+     * Parse a YAML document
+     * @param {string} text - YAML text
+     * @returns {*} Parsed value (an empty object for empty documents)
+     * @throws {Error} With the line number when the document cannot be parsed
+     */
+    parse(text) {
+        const state = { lines: (text || '').replace(/\r\n?/g, '\n').split('\n'), index: 0 };
+        this.skipEmpty(state);
+        if (state.index >= state.lines.length) return {};
+        
+        const value = this.parseBlock(state, this.indentOf(state.lines[state.index]));
+        this.skipEmpty(state);
+        if (state.index < state.lines.length) {
+            throw new Error(`Unexpected indentation at line ${state.index + 1}`);
+        }
+        return value;
+    },
+
+    /**
+     * Split a markdown document into its front-matter and body
+     * @param {string} text - Markdown, optionally starting with --- front-matter ---
+     * @returns {Object} { attributes, body }
+     */
+    parseFrontMatter(text) {
+        const match = (text || '').match(this.FRONT_MATTER_PATTERN);
+        if (!match) {
+            return { attributes: {}, body: text || '' };
+        }
+        
+        const parsed = this.parse(match[1]);
+        return {
+            attributes: parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {},
+            body: text.slice(match[0].length).replace(/^(\s*\n)+/, '')
+        };
+    },
+
+    indentOf(line) {
+        return line.match(/^ */)[0].length;
+    },
+
+    isEmpty(line) {
+        return /^\s*(#.*)?$/.test(line);
+    },
+
+    isListItem(content) {
+        return /^-( |$)/.test(content);
+    },
+
+    skipEmpty(state) {
+        while (state.index < state.lines.length && this.isEmpty(state.lines[state.index])) {
+            state.index++;
+        }
+    },
+
+    parseBlock(state, indent) {
+        const content = state.lines[state.index].slice(indent);
+        return this.isListItem(content) ? this.parseList(state, indent) : this.parseMap(state, indent);
+    },
+
+    parseList(state, indent) {
+        const list = [];
+        
+        for (this.skipEmpty(state); state.index < state.lines.length; this.skipEmpty(state)) {
+            const line = state.lines[state.index];
+            const lineIndent = this.indentOf(line);
+            const content = line.slice(indent);
+            if (lineIndent < indent || (lineIndent === indent && !this.isListItem(content))) break;
+            if (lineIndent > indent) {
+                throw new Error(`Unexpected indentation at line ${state.index + 1}`);
+            }
+            
+            const rest = content.slice(1).trim();
+            if (!rest) {
+                // The item value is a nested block on the following lines
+                state.index++;
+                this.skipEmpty(state);
+                const next = state.lines[state.index];
+                list.push(next !== undefined && this.indentOf(next) > indent 
+                    ? this.parseBlock(state, this.indentOf(next)) 
+                    : null);
+            } else if (this.KEY_PATTERN.test(rest)) {
+                // "- key: value" starts a map whose keys line up with the text after the dash
+                const itemIndent = indent + content.indexOf(rest);
+                state.lines[state.index] = ' '.repeat(itemIndent) + rest;
+                list.push(this.parseMap(state, itemIndent));
+            } else {
+                state.index++;
+                list.push(this.parseScalar(rest, state, indent));
+            }
+        }
+        
+        return list;
+    },
+
+    parseMap(state, indent) {
+        const map = {};
+        
+        for (this.skipEmpty(state); state.index < state.lines.length; this.skipEmpty(state)) {
+            const line = state.lines[state.index];
+            const lineIndent = this.indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) {
+                throw new Error(`Unexpected indentation at line ${state.index + 1}`);
+            }
+            
+            const match = line.slice(indent).match(this.KEY_PATTERN);
+            if (!match) {
+                throw new Error(`Expected "key: value" at line ${state.index + 1}`);
+            }
+            
+            const key = this.parseScalar(match[1], state, indent);
+            const rest = (match[2] || '').trim();
+            state.index++;
+            
+            if (rest && !rest.startsWith('#')) {
+                map[key] = this.parseScalar(rest, state, indent);
+                continue;
+            }
+            
+            // Nested block; lists may start at the same indentation as their key
+            this.skipEmpty(state);
+            const next = state.lines[state.index];
+            const nextIndent = next !== undefined ? this.indentOf(next) : -1;
+            if (nextIndent > indent || (nextIndent === indent && this.isListItem(next.slice(indent)))) {
+                map[key] = this.parseBlock(state, nextIndent);
+            } else {
+                map[key] = null;
+            }
+        }
+        
+        return map;
+    },
+
+    parseScalar(text, state, parentIndent) {
+        if (/^[|>][-+]?\s*(#.*)?$/.test(text)) {
+            return this.parseBlockScalar(text.trim().split(/\s/)[0], state, parentIndent);
+        }
+        
+        if (text.startsWith('[')) {
+            const inner = text.replace(/\s+#.*$/, '').trim();
+            if (!inner.endsWith(']')) {
+                throw new Error(`Unterminated list at line ${state.index}`);
+            }
+            const items = inner.slice(1, -1).match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+            return items.map(item => item.trim()).filter(Boolean).map(item => this.parseScalar(item, state, parentIndent));
+        }
+        if (text === '{}') return {};
+        
+        const doubleQuoted = text.match(/^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/);
+        if (doubleQuoted) return JSON.parse(`"${doubleQuoted[1]}"`);
+        
+        const singleQuoted = text.match(/^'((?:[^']|'')*)'\s*(#.*)?$/);
+        if (singleQuoted) return singleQuoted[1].replace(/''/g, "'");
+        
+        const plain = text.replace(/\s+#.*$/, '').trim();
+        if (/^(true|false)$/i.test(plain)) return plain.toLowerCase() === 'true';
+        if (/^(null|~)?$/i.test(plain)) return null;
+        if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+        return plain;
+    },
+
+    parseBlockScalar(indicator, state, parentIndent) {
+        const collected = [];
+        let blockIndent = null;
+        
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.trim() === '') {
+                collected.push('');
+                state.index++;
+                continue;
+            }
+            const lineIndent = this.indentOf(line);
+            if (lineIndent <= parentIndent || (blockIndent !== null && lineIndent < blockIndent)) break;
+            if (blockIndent === null) blockIndent = lineIndent;
+            collected.push(line.slice(blockIndent));
+            state.index++;
+        }
+        
+        while (collected.length > 0 && collected[collected.length - 1] === '') {
+            collected.pop();
+        }
+        
+        // Folded scalars turn single line breaks into spaces and keep paragraph breaks
+        let value = collected.join('\n');
+        if (indicator.startsWith('>')) {
+            value = value.replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n(\n+)/g, '$1');
+        }
+        return indicator.endsWith('-') ? value : `${value}\n`;
+    }
+};
+
+/**
+ * Custom property filter expressions: OR groups of AND-ed conditions
+ */
+const PropertyFilter = {
+    OPERATORS: {
+        equals: { label: 'equals', needsValue: true },
+        not_equals: { label: 'does not equal', needsValue: true },
+        in: { label: 'is any of', needsValue: true },
+        not_in: { label: 'is none of', needsValue: true },
+        matches: { label: 'matches regex', needsValue: true },
+        exists: { label: 'is set', needsValue: false },
+        not_exists: { label: 'is not set', needsValue: false }
+    },
+
+    /**
+     * Build a predicate for a list of conditions
+     * @param {Array<Object>} conditions - { propertyName, operator, value, group }
+     * @returns {Function} (properties) => boolean, where properties maps names to values
+     * @throws {Error} If a condition is incomplete or a regex is invalid
+     */
+    compile(conditions) {
+        const groups = new Map();
+        conditions.forEach(condition => {
+            const test = this.compileCondition(condition);
+            const group = condition.group || 0;
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(test);
+        });
+        
+        const alternatives = [...groups.values()];
+        return (properties) => alternatives.some(tests => tests.every(test => test(properties)));
+    },
+
+    compileCondition(condition) {
+        const { propertyName, value = '' } = condition;
+        const operator = this.getOperator(condition);
+        if (!propertyName) {
+            throw new Error('Choose a property for every condition');
+        }
+        if (this.OPERATORS[operator].needsValue && !String(value).trim()) {
+            throw new Error(`Enter a value for ${propertyName}`);
+        }
+        
+        // Multi-select properties hold arrays; a condition matches if any selected value does
+        const valuesOf = (properties) => {
+            const actual = properties[propertyName];
+            if (actual === undefined || actual === null || actual === '') return [];
+            return Array.isArray(actual) ? actual.map(String) : [String(actual)];
+        };
+        const list = String(value).split(',').map(item => item.trim()).filter(Boolean);
+        
+        switch (operator) {
+            case 'equals':
+                return (properties) => valuesOf(properties).includes(String(value).trim());
+            case 'not_equals':
+                return (properties) => !valuesOf(properties).includes(String(value).trim());
+            case 'in':
+                return (properties) => valuesOf(properties).some(actual => list.includes(actual));
+            case 'not_in':
+                return (properties) => !valuesOf(properties).some(actual => list.includes(actual));
+            case 'matches': {
+                const regex = this.parseRegex(value);
+                return (properties) => valuesOf(properties).some(actual => regex.test(actual));
+            }
+            case 'exists':
+                return (properties) => valuesOf(properties).length > 0;
+            case 'not_exists':
+                return (properties) => valuesOf(properties).length === 0;
+        }
+    },
+
+    /**
+     * Conditions saved before operators existed only have a value, meaning equals, or none, meaning exists
+     */
+    getOperator(condition) {
+        if (condition.operator && this.OPERATORS[condition.operator]) return condition.operator;
+        return condition.value && String(condition.value).trim() ? 'equals' : 'exists';
+    },
+
+    /**
+     * Accept /pattern/flags or a bare pattern
+     * @param {string} value - Regex source
+     * @returns {RegExp} Compiled regex
+     */
+    parseRegex(value) {
+        const source = String(value).trim();
+        const literal = source.match(/^\/(.*)\/([gimsuy]*)$/);
+        try {
+            return literal ? new RegExp(literal[1], literal[2].replace('g', '')) : new RegExp(source);
+        } catch (error) {
+            throw new Error(`Invalid regex ${source}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Describe the filter in words, e.g. "(team is any of payments, ledger AND env does not equal sandbox) OR (...)"
+     * @param {Array<Object>} conditions - Filter conditions
+     * @returns {string} Description
+     */
+    describe(conditions) {
+        const groups = new Map();
+        conditions.forEach(condition => {
+            const operator = this.getOperator(condition);
+            const text = this.OPERATORS[operator].needsValue 
+                ? `${condition.propertyName} ${this.OPERATORS[operator].label} ${condition.value}` 
+                : `${condition.propertyName} ${this.OPERATORS[operator].label}`;
+            const group = condition.group || 0;
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(text);
+        });
+        
+        const parts = [...groups.values()].map(texts => texts.join(' AND '));
+        return parts.length > 1 ? parts.map(part => `(${part})`).join(' OR ') : (parts[0] || '');
+    }
+};
+
+/**
+ * Registry of the use cases offered in step 1
+ */
+const UseCaseRegistry = {
+    ID_PATTERN: /^[a-z0-9][a-z0-9-]{0,49}$/,
+    DEFAULT_ICON: '🤖',
+    DEFAULT_PROMPT: 'Please help improve this repository.',
+
+    useCases: new Map(),
+
+    /**
+     * Register the built-in use cases from configuration
+     */
+    init() {
+        this.useCases.clear();
+        APP_CONFIG.USE_CASES.forEach(definition => {
+            this.useCases.set(definition.id, { ...this.normalize(definition), builtIn: true });
+        });
+    },
+
+    /**
+     * Validate a use case definition and fill in defaults
+     * @param {Object} definition - { id?, name, icon?, description?, prompt | promptUrl, labels?, issueTitle? }
+     * @returns {Object} Normalized use case
+     * @throws {Error} If the definition is invalid
+     */
+    normalize(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Use case definition must be an object');
+        }
+        
+        const name = ValidationUtils.sanitizeString(String(definition.name || '').trim()).slice(0, 100);
+        if (!name) {
+            throw new Error('Use case name is required');
+        }
+        
+        const id = String(definition.id || name).trim().toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        if (!this.ID_PATTERN.test(id)) {
+            throw new Error(`Invalid use case id for "${name}"`);
+        }
+        
+        const prompt = typeof definition.prompt === 'string' ? definition.prompt.trim() : '';
+        const promptUrl = typeof definition.promptUrl === 'string' ? definition.promptUrl.trim() : '';
+        if (!prompt && !promptUrl) {
+            throw new Error(`Use case "${name}" needs a prompt or a promptUrl`);
+        }
+        if (promptUrl && !/^(https:\/\/|\/|\.\/)/.test(promptUrl)) {
+            throw new Error(`Prompt URL for "${name}" must be an https:// URL or a path on this site`);
+        }
+        
+        const rawLabels = Array.isArray(definition.labels) 
+            ? definition.labels 
+            : String(definition.labels || '').split(',');
+        const labels = rawLabels
+            .map(label => ValidationUtils.sanitizeString(String(label).trim()).slice(0, 50))
+            .filter(Boolean);
+        
+        return {
+            id,
+            name,
+            icon: ValidationUtils.sanitizeString(String(definition.icon || '').trim()).slice(0, 8) || this.DEFAULT_ICON,
+            description: ValidationUtils.sanitizeString(String(definition.description || '').trim()).slice(0, 200),
+            prompt,
+            promptUrl,
+            fallbackPrompt: definition.fallbackPrompt || prompt || this.DEFAULT_PROMPT,
+            labels: labels.length > 0 ? labels : [id],
+            issueTitle: ValidationUtils.sanitizeString(String(definition.issueTitle || '').trim()).slice(0, 200) 
+                || `${name} - Copilot Agent Task`,
+            builtIn: false
+        };
+    },
+
+    /**
+     * Add or replace a custom use case
+     * @param {Object} definition - Use case definition
+     * @returns {Object} The registered use case
+     * @throws {Error} If invalid or the id belongs to a built-in use case
+     */
+    register(definition) {
+        const useCase = this.normalize(definition);
+        const existing = this.useCases.get(useCase.id);
+        if (existing && existing.builtIn) {
+            throw new Error(`"${useCase.id}" is a built-in use case and cannot be replaced`);
+        }
+        
+        this.useCases.set(useCase.id, useCase);
+        Logger.info('Use case registered', { id: useCase.id });
+        return useCase;
+    },
+
+    /**
+     * Remove a custom use case
+     * @param {string} id - Use case id
+     * @returns {boolean} True if removed
+     */
+    remove(id) {
+        const useCase = this.useCases.get(id);
+        if (!useCase || useCase.builtIn) return false;
+        return this.useCases.delete(id);
+    },
+
+    get(id) {
+        return this.useCases.get(id) || null;
+    },
+
+    getAll() {
+        return [...this.useCases.values()];
+    },
+
+    /**
+     * Register use cases from a JSON document
+     * @param {string} text - JSON array of definitions, or { useCases: [...] }
+     * @returns {Object} { imported, errors } with registered use cases and per-entry messages
+     * @throws {Error} If the document is not valid JSON
+     */
+    importJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        
+        const definitions = Array.isArray(parsed) ? parsed : (parsed && parsed.useCases);
+        if (!Array.isArray(definitions)) {
+            throw new Error('Expected an array of use cases or an object with a "useCases" array');
+        }
+        
+        const imported = [];
+        const errors = [];
+        definitions.forEach((definition, index) => {
+            try {
+                imported.push(this.register(definition));
+            } catch (error) {
+                errors.push(`Entry ${index + 1}: ${error.message}`);
+            }
+        });
+        
+        return { imported, errors };
+    },
+
+    /**
+     * Load the prompt text of a use case
+     * @param {string} id - Use case id
+     * @returns {Promise<string>} Prompt text
+     */
+    async loadPrompt(id) {
+        const useCase = this.get(id);
+        if (!useCase) {
+            throw new Error(`Unknown use case: ${id}`);
+        }
+        if (useCase.prompt) {
+            return useCase.prompt;
+        }
+        
+        // Paths resolve against this app's origin so the bundled prompt files are used; Node needs absolute URLs
+        const origin = typeof window !== 'undefined' ? window.location.origin : undefined;
+        const response = await fetch(new URL(useCase.promptUrl, origin).href);
+        if (!response.ok) {
+            throw new Error(`Failed to load prompt: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    }
+};
+
+/**
+ * Centralized API utilities with enhanced error handling and security
+ */
+const APIUtils = {
+    /**
+     * Enhanced fetch with timeout, error handling, security headers and rate limit handling
+     * @param {string} url - API endpoint URL
+     * @param {Object} options - Fetch options (contentCreation flags requests that count
+     *                           towards GitHub's content creation limits, defaults to non-GET)
+     * @param {number} timeout - Request timeout in milliseconds
+     * @returns {Promise<Response>} Enhanced fetch response
+     */
+    async secureFetch(url, options = {}, timeout = APP_CONFIG.API.REQUEST_TIMEOUT) {
+        const { contentCreation, ...fetchOptions } = options;
+        const isContentCreation = contentCreation ?? 
+            (!!fetchOptions.method && fetchOptions.method.toUpperCase() !== 'GET');
+        
+        for (let attempt = 0; ; attempt++) {
+            // Wait out any active rate limit pause before sending
+            await RateLimiter.waitForCapacity(isContentCreation);
+            
+            // Cancelling a run aborts requests that are waiting or in flight
+            const runSignal = RunControl.signal;
+            if (runSignal && runSignal.aborted) {
+                throw new APIError('Request cancelled', 499, url);
+            }
+            
+            // Add security headers and timeout
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            const abortFromRun = () => controller.abort();
+            if (runSignal) runSignal.addEventListener('abort', abortFromRun);
+            
+            const secureOptions = {
+                ...fetchOptions,
+                signal: controller.signal,
+                headers: {
+                    'User-Agent': 'GitHub-Copilot-Agent-Quickstart/1.0',
+                    'X-Requested-With': 'XMLHttpRequest',
+                    ...fetchOptions.headers
+                }
+            };
+            
+            let response;
+            try {
+                response = await fetch(url, secureOptions);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    if (runSignal && runSignal.aborted) {
+                        throw new APIError('Request cancelled', 499, url);
+                    }
+                    throw new APIError('Request timeout', 408, url);
+                }
+                throw new APIError(error.message, 0, url);
+            } finally {
+                clearTimeout(timeoutId);
+                if (runSignal) runSignal.removeEventListener('abort', abortFromRun);
+            }
+            
+            RateLimiter.update(response);
+            
+            if (!response.ok) {
+                // Rate limited requests were rejected without side effects, so they are safe to retry
+                const retryDelay = await RateLimiter.getRetryDelay(response);
+                if (retryDelay !== null && attempt < APP_CONFIG.API.MAX_RETRIES) {
+                    RateLimiter.pauseUntil(Date.now() + retryDelay, `HTTP ${response.status}`);
+                    continue;
+                }
+                const body = await response.json().catch(() => null);
+                throw new APIError(`HTTP ${response.status}: ${response.statusText}`, response.status, url, body);
+            }
+            
+            return response;
+        }
+    },
+
+    /**
+     * Resolve the REST and GraphQL endpoints for a GitHub host
+     * @param {string} host - Normalized host (see ValidationUtils.normalizeHost)
+     * @returns {Object} { apiHost, apiBaseUrl, graphqlUrl }
+     */
+    resolveEndpoints(host) {
+        if (host === 'github.com' || host === 'api.github.com') {
+            return {
+                apiHost: 'github.com',
+                apiBaseUrl: APP_CONFIG.API.GITHUB_BASE_URL,
+                graphqlUrl: APP_CONFIG.API.GITHUB_GRAPHQL_URL
+            };
+        }
+        
+        // GHE.com data residency tenants serve the API from an api. subdomain
+        const tenant = host.replace(/^api\./, '');
+        if (tenant.endsWith('.ghe.com')) {
+            return {
+                apiHost: tenant,
+                apiBaseUrl: `https://api.${tenant}`,
+                graphqlUrl: `https://api.${tenant}/graphql`
+            };
+        }
+        
+        // GitHub Enterprise Server
+        return {
+            apiHost: host,
+            apiBaseUrl: `https://${host}/api/v3`,
+            graphqlUrl: `https://${host}/api/graphql`
+        };
+    },
+
+    /**
+     * Check that the configured API host answers as a GitHub API
+     * @returns {Promise<Object>} The /meta response
+     */
+    async verifyEndpoint() {
+        const meta = await this.githubAPI('/meta');
+        
+        // Every GitHub API flavour reports its hook and git addresses in /meta
+        if (!meta || typeof meta !== 'object' || !('verifiable_password_authentication' in meta || 'hooks' in meta)) {
+            throw new APIError('The host did not respond like a GitHub API', 0, `${appState.apiBaseUrl}/meta`);
+        }
+        return meta;
+    },
+
+    /**
+     * GitHub API request with authentication and rate limiting
+     * @param {string} endpoint - API endpoint (relative to GitHub API base)
+     * @param {Object} options - Additional options
+     * @returns {Promise<Object>} JSON response
+     */
+    async githubAPI(endpoint, options = {}) {
+        const response = await this.githubRequest(endpoint, options);
+        return await response.json();
+    },
+
+    /**
+     * Authenticated GitHub API request returning the raw response, for callers that need headers
+     * @param {string} endpoint - API endpoint (relative to GitHub API base, or an absolute URL on it)
+     * @param {Object} options - Additional options
+     * @returns {Promise<Response>} Fetch response
+     */
+    async githubRequest(endpoint, options = {}) {
+        if (!appState.authToken) {
+            throw new APIError('Authentication token required', 401);
+        }
+        
+        // Absolute URLs (pagination links) must stay on the configured API so the token is not leaked
+        const isAbsolute = /^https?:\/\//.test(endpoint);
+        if (isAbsolute && !endpoint.startsWith(`${appState.apiBaseUrl}/`)) {
+            throw new APIError('Refusing to send the token to another host', 400, endpoint);
+        }
+        const url = isAbsolute ? endpoint : `${appState.apiBaseUrl}${endpoint}`;
+        const headers = SecurityUtils.createAuthHeaders(appState.authToken);
+        
+        return this.secureFetch(url, {
+            ...options,
+            headers: { ...headers, ...options.headers }
+        });
+    },
+
+    /**
+     * Fetch every page of a list endpoint by following Link headers
+     * @param {string} endpoint - API endpoint returning an array (per_page=100 is added when missing)
+     * @param {Object} options - { maxItems, onPage(count) called after each page }
+     * @returns {Promise<Array>} All items, up to maxItems
+     */
+    async githubPaginate(endpoint, { maxItems = Infinity, onPage = () => {} } = {}) {
+        const items = [];
+        let next = /[?&]per_page=/.test(endpoint) 
+            ? endpoint 
+            : `${endpoint}${endpoint.includes('?') ? '&' : '?'}per_page=100`;
+        
+        while (next && items.length < maxItems) {
+            const response = await this.githubRequest(next);
+            const page = await response.json();
+            if (!Array.isArray(page)) {
+                throw new APIError('Expected a list response', 0, next);
+            }
+            
+            items.push(...page);
+            onPage(items.length);
+            next = this.getNextPageUrl(response.headers.get('Link'));
+        }
+        
+        if (next) {
+            Logger.warn('Pagination stopped at the item limit', { endpoint, maxItems });
+        }
+        return items.slice(0, maxItems);
+    },
+
+    /**
+     * Read the next page URL from a Link header
+     * @param {string|null} linkHeader - Link header value
+     * @returns {string|null} Next page URL
+     */
+    getNextPageUrl(linkHeader) {
+        const match = (linkHeader || '').match(/<([^>]+)>;\s*rel="next"/);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * GitHub GraphQL API request
+     * @param {string} query - GraphQL query
+     * @param {Object} variables - Query variables
+     * @param {Object} options - { allowPartial } returns data alongside errors, e.g. for aliased batches
+     * @returns {Promise<Object>} GraphQL response
+     */
+    async githubGraphQL(query, variables = {}, { allowPartial = false } = {}) {
+        if (!appState.authToken) {
+            throw new APIError('Authentication token required', 401);
+        }
+        
+        const response = await this.secureFetch(appState.graphqlUrl, {
+            method: 'POST',
+            headers: SecurityUtils.createAuthHeaders(appState.authToken),
+            body: JSON.stringify({ query, variables }),
+            // Only mutations count towards content creation limits
+            contentCreation: /^\s*mutation\b/.test(query)
+        });
+        
+        const data = await response.json();
+        
+        if (data.errors && !(allowPartial && data.data)) {
+            throw new APIError(`GraphQL Error: ${data.errors.map(e => e.message).join(', ')}`, 400);
+        }
+        
+        return data;
+    }
+};
+
+/**
+ * Tracks GitHub rate limits reported by API responses and pauses requests when needed
+ */
+const RateLimiter = {
+    remaining: null,
+    resetAt: 0,
+    pausedUntil: 0,
+    contentRequests: [],
+
+    /**
+     * Record the primary rate limit state from response headers
+     * @param {Response} response - Fetch response
+     */
+    update(response) {
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        const reset = response.headers.get('X-RateLimit-Reset');
+        
+        if (remaining !== null) this.remaining = parseInt(remaining, 10);
+        if (reset !== null) this.resetAt = parseInt(reset, 10) * 1000;
+        
+        // Primary limit exhausted: hold every request until the window resets
+        if (this.remaining === 0 && this.resetAt > Date.now()) {
+            this.pauseUntil(this.resetAt, 'primary rate limit exhausted');
+        }
+    },
+
+    /**
+     * Determine how long to wait before retrying a rate limited response
+     * @param {Response} response - Failed fetch response
+     * @returns {Promise<number|null>} Delay in milliseconds, or null if not rate limited
+     */
+    async getRetryDelay(response) {
+        if (response.status !== 403 && response.status !== 429) return null;
+        
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter !== null) {
+            return Math.max(parseInt(retryAfter, 10) || 0, 1) * 1000;
+        }
+        
+        if (response.headers.get('X-RateLimit-Remaining') === '0') {
+            return Math.max(this.resetAt - Date.now(), 1000);
+        }
+        
+        if (response.status === 429) {
+            return APP_CONFIG.API.SECONDARY_RATE_LIMIT_BACKOFF;
+        }
+        
+        // A plain 403 is usually a permission problem; only retry when GitHub says it is a rate limit
+        try {
+            const body = await response.clone().text();
+            return /rate limit/i.test(body) ? APP_CONFIG.API.SECONDARY_RATE_LIMIT_BACKOFF : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Pause all outgoing requests until the given time
+     * @param {number} timestamp - Epoch milliseconds to resume at
+     * @param {string} reason - Why requests are paused
+     */
+    pauseUntil(timestamp, reason) {
+        if (timestamp <= this.pausedUntil) return;
+        
+        this.pausedUntil = timestamp;
+        const resumeAt = new Date(timestamp);
+        Logger.warn('Rate limit reached, pausing requests', { reason, resumeAt: resumeAt.toISOString() });
+        CampaignHooks.progress(`GitHub rate limit reached. Resuming automatically at ${resumeAt.toLocaleTimeString()}...`);
+    },
+
+    /**
+     * Wait until a request may be sent without exceeding known limits
+     * @param {boolean} isContentCreation - Whether the request creates content (issues, comments, mutations)
+     */
+    async waitForCapacity(isContentCreation) {
+        for (;;) {
+            const now = Date.now();
+            
+            if (RunControl.cancelled) return;
+            
+            if (now < this.pausedUntil) {
+                await RunControl.sleep(this.pausedUntil - now);
+                continue;
+            }
+            
+            if (!isContentCreation) return;
+            
+            // Content creation is limited per minute, independent of the primary limit
+            this.contentRequests = this.contentRequests.filter(time => now - time < 60000);
+            if (this.contentRequests.length < APP_CONFIG.API.CONTENT_CREATION_PER_MINUTE) {
+                this.contentRequests.push(now);
+                return;
+            }
+            
+            await RunControl.sleep(this.contentRequests[0] + 60000 - now);
+        }
+    }
+};
+
+/**
+ * Pause, resume and cancel state for the run currently in progress
+ */
+const RunControl = {
+    active: false,
+    paused: false,
+    cancelled: false,
+    abortController: null,
+    resumeWaiters: [],
+
+    /**
+     * Abort signal shared by every request of the active run
+     * @returns {AbortSignal|null} Signal, or null when no run is active
+     */
+    get signal() {
+        return this.abortController ? this.abortController.signal : null;
+    },
+
+    /**
+     * Begin a new controllable run
+     */
+    start() {
+        this.active = true;
+        this.paused = false;
+        this.cancelled = false;
+        this.abortController = new AbortController();
+    },
+
+    /**
+     * End the active run and release anything still waiting
+     */
+    finish() {
+        this.active = false;
+        this.paused = false;
+        this.cancelled = false;
+        this.abortController = null;
+        this.releaseWaiters();
+    },
+
+    /**
+     * Stop scheduling new work; requests already in flight are allowed to finish
+     */
+    pause() {
+        if (this.active && !this.cancelled) this.paused = true;
+    },
+
+    /**
+     * Resume scheduling after a pause
+     */
+    resume() {
+        this.paused = false;
+        this.releaseWaiters();
+    },
+
+    /**
+     * Stop scheduling new work and abort every in-flight request
+     */
+    cancel() {
+        if (!this.active) return;
+        this.cancelled = true;
+        this.paused = false;
+        this.abortController.abort();
+        this.releaseWaiters();
+    },
+
+    releaseWaiters() {
+        this.resumeWaiters.forEach(resolve => resolve());
+        this.resumeWaiters = [];
+    },
+
+    /**
+     * Wait while the run is paused
+     */
+    async waitIfPaused() {
+        while (this.paused && !this.cancelled) {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+    },
+
+    /**
+     * Sleep that ends early when the run is cancelled
+     * @param {number} ms - Delay in milliseconds
+     */
+    sleep(ms) {
+        const signal = this.signal;
+        return new Promise(resolve => {
+            const timeoutId = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timeoutId);
+                    resolve();
+                }, { once: true });
+            }
+        });
+    }
+};
+
+/**
+ * Bounded worker pool for processing many repositories concurrently
+ */
+const ExecutionScheduler = {
+    /**
+     * Run a task for every item with at most `concurrency` tasks in flight.
+     * Honors RunControl: no new items are started while paused or after cancellation.
+     * @param {Array} items - Items to process
+     * @param {Function} task - Async function (item, index) => result; should handle its own errors
+     * @param {Object} options - { concurrency, onProgress(completed, total, item) }
+     * @returns {Promise<Array>} Task results in item order; items never started are left undefined
+     */
+    async run(items, task, { concurrency = APP_CONFIG.API.MAX_CONCURRENCY, onProgress } = {}) {
+        const results = new Array(items.length).fill(undefined);
+        let nextIndex = 0;
+        let completed = 0;
+        
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                await RunControl.waitIfPaused();
+                if (RunControl.cancelled || nextIndex >= items.length) break;
+                
+                const index = nextIndex++;
+                results[index] = await task(items[index], index);
+                completed++;
+                if (onProgress) onProgress(completed, items.length, items[index]);
+            }
+        };
+        
+        const workerCount = Math.max(1, Math.min(concurrency, items.length));
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        
+        return results;
+    }
+};
+
+/**
+ * Resolves the Copilot coding agent once per session and checks many repositories per GraphQL request
+ */
+const CopilotActor = {
+    LOGIN: 'copilot-swe-agent',
+    actor: null, // { id, login } of the bot, the same node in every repository
+    eligibility: new Map(), // repository name -> { hasIssuesEnabled, isArchived, copilotAvailable }
+
+    /**
+     * Forget everything, e.g. after signing in to another organization or host
+     */
+    reset() {
+        this.actor = null;
+        this.eligibility.clear();
+    },
+
+    /**
+     * Forget the cached status of some repositories so they are checked again
+     * @param {Array<string>} repoNames - Repository names
+     */
+    forget(repoNames) {
+        repoNames.forEach(name => this.eligibility.delete(name));
+    },
+
+    /**
+     * Check repositories for issues and Copilot assignability, reusing cached results
+     * @param {Array<string>} repoNames - Repository names
+     * @param {Function} onProgress - Optional callback (checked, total)
+     * @returns {Promise<Map>} Repository name -> status, or { error } when the check failed
+     */
+    async check(repoNames, onProgress) {
+        const names = [...new Set(repoNames)];
+        const pending = names.filter(name => !this.eligibility.has(name));
+        const batchSize = APP_CONFIG.API.GRAPHQL_BATCH_SIZE;
+        const batches = [];
+        for (let i = 0; i < pending.length; i += batchSize) {
+            batches.push(pending.slice(i, i + batchSize));
+        }
+        
+        const failures = new Map();
+        let checked = 0;
+        await ExecutionScheduler.run(batches, async (batch) => {
+            try {
+                const errors = await this.fetchBatch(batch);
+                errors.forEach((message, name) => failures.set(name, message));
+            } catch (error) {
+                batch.forEach(name => failures.set(name, error.message));
+            }
+            checked += batch.length;
+            if (onProgress) onProgress(checked, pending.length);
+        });
+        
+        return new Map(names.map(name => [
+            name, 
+            this.eligibility.get(name) || { error: failures.get(name) || 'Not checked: the run was cancelled' }
+        ]));
+    },
+
+    /**
+     * The bot's node, looked up through the given repositories when no check has found it yet
+     * @param {Array<string>} repoNames - Repositories of the signed-in organization to look in
+     * @returns {Promise<Object|null>} { id, login }, or null when Copilot cannot be assigned in any of them
+     */
+    async resolve(repoNames) {
+        if (!this.actor) await this.check(repoNames);
+        return this.actor;
+    },
+
+    /**
+     * Whether an actor from a GraphQL response is the Copilot coding agent, compared by node ID
+     * @param {Object} node - Actor with its id
+     * @returns {boolean} False as well while the bot has not been resolved
+     */
+    isCopilot(node) {
+        return !!node && !!this.actor && node.id === this.actor.id;
+    },
+
+    /**
+     * Query one batch of repositories, aliased into a single GraphQL request
+     * @param {Array<string>} repoNames - Repository names
+     * @returns {Promise<Map>} Repository name -> error message for repositories that could not be read
+     */
+    async fetchBatch(repoNames) {
+        const variables = { owner: appState.orgName };
+        const fields = repoNames.map((name, index) => {
+            variables[`name${index}`] = name;
+            return `
+                repo${index}: repository(owner: $owner, name: $name${index}) {
+                    hasIssuesEnabled
+                    isArchived
+                    suggestedActors(first: 10, query: "copilot", capabilities: CAN_BE_ASSIGNED) {
+                        nodes {
+                            ... on Bot {
+                                id
+                                login
+                            }
+                        }
+                        pageInfo {
+                            hasNextPage
+                        }
+                    }
+                }`;
+        });
+        const declarations = repoNames.map((name, index) => `$name${index}: String!`).join(', ');
+        const query = `query CopilotEligibility($owner: String!, ${declarations}) {${fields.join('')}\n}`;
+        
+        const data = await APIUtils.githubGraphQL(query, variables, { allowPartial: true });
+        
+        const errors = new Map();
+        (data.errors || []).forEach(error => {
+            const alias = (error.path || [])[0];
+            const index = alias ? parseInt(alias.replace('repo', ''), 10) : NaN;
+            if (!isNaN(index)) errors.set(repoNames[index], error.message);
+        });
+        
+        for (const [index, name] of repoNames.entries()) {
+            const repository = data.data[`repo${index}`];
+            if (!repository) {
+                if (!errors.has(name)) errors.set(name, 'Repository not found');
+                continue;
+            }
+            
+            const { nodes, pageInfo } = repository.suggestedActors;
+            let bot = nodes.find(node => node && node.login === this.LOGIN) || null;
+            if (!bot && pageInfo.hasNextPage) {
+                // The search matched more actors than fit in one page
+                bot = await this.pageSuggestedActors(name);
+            }
+            if (bot) this.actor = { id: bot.id, login: bot.login };
+            
+            this.eligibility.set(name, {
+                hasIssuesEnabled: repository.hasIssuesEnabled,
+                isArchived: repository.isArchived,
+                copilotAvailable: !!bot
+            });
+        }
+        
+        return errors;
+    },
+
+    /**
+     * Page through every assignable actor of a repository looking for the bot
+     * @param {string} repoName - Repository name
+     * @returns {Promise<Object|null>} Bot node, or null when Copilot cannot be assigned
+     */
+    async pageSuggestedActors(repoName) {
+        let endCursor = null;
+        let hasNextPage = true;
+        
+        while (hasNextPage) {
+            const query = `
+                query FindCopilotBot($owner: String!, $name: String!, $endCursor: String) {
+                    repository(owner: $owner, name: $name) {
+                        suggestedActors(first: 100, after: $endCursor, capabilities: CAN_BE_ASSIGNED) {
+                            nodes {
+                                ... on Bot {
+                                    id
+                                    login
+                                }
+                            }
+                            pageInfo {
+                                hasNextPage
+                                endCursor
+                            }
+                        }
+                    }
+                }
+            `;
+            
+            const data = await APIUtils.githubGraphQL(query, { owner: appState.orgName, name: repoName, endCursor });
+            const suggestedActors = data.data.repository.suggestedActors;
+            
+            const bot = suggestedActors.nodes.find(node => node && node.login === this.LOGIN);
+            if (bot) return bot;
+            
+            hasNextPage = suggestedActors.pageInfo.hasNextPage;
+            endCursor = suggestedActors.pageInfo.endCursor;
+        }
+        
+        return null;
+    }
+};
+
+/**
+ * Follows campaign issues through to the pull requests Copilot opens for them
+ */
+const IssueTracker = {
+    // Tracking states from least to most progressed
+    STATES: ['unassigned', 'issue-closed', 'working', 'closed', 'draft', 'open', 'merged'],
+
+    /**
+     * Key of an issue in the status map
+     * @param {string} repo - Repository name
+     * @param {number} number - Issue number
+     * @returns {string} Key
+     */
+    key(repo, number) {
+        return `${repo}#${number}`;
+    },
+
+    /**
+     * Read the state, assignees and linked pull requests of issues, a batch of issues per GraphQL request
+     * @param {Array<Object>} issues - Issues as { org, repo, number }
+     * @param {Function} onProgress - Optional callback (checked, total)
+     * @returns {Promise<Map>} Issue key -> status, or { error } when the issue could not be read
+     */
+    async fetchStatuses(issues, onProgress) {
+        // Assignees and pull request authors are matched against the bot's node ID
+        await CopilotActor.resolve(issues.map(issue => issue.repo));
+        
+        const batchSize = APP_CONFIG.API.GRAPHQL_BATCH_SIZE;
+        const batches = [];
+        for (let i = 0; i < issues.length; i += batchSize) {
+            batches.push(issues.slice(i, i + batchSize));
+        }
+        
+        const statuses = new Map();
+        let checked = 0;
+        await ExecutionScheduler.run(batches, async (batch) => {
+            try {
+                const results = await this.fetchBatch(batch);
+                results.forEach((status, key) => statuses.set(key, status));
+            } catch (error) {
+                batch.forEach(issue => statuses.set(this.key(issue.repo, issue.number), { error: error.message }));
+            }
+            checked += batch.length;
+            if (onProgress) onProgress(checked, issues.length);
+        });
+        
+        return statuses;
+    },
+
+    /**
+     * Query one batch of issues, aliased into a single GraphQL request
+     * @param {Array<Object>} issues - Issues as { org, repo, number }; the run's organization, not the signed-in one
+     * @returns {Promise<Map>} Issue key -> status or { error }
+     */
+    async fetchBatch(issues) {
+        const variables = {};
+        const fields = issues.map((issue, index) => {
+            variables[`owner${index}`] = issue.org;
+            variables[`name${index}`] = issue.repo;
+            variables[`number${index}`] = issue.number;
+            return `
+                issue${index}: repository(owner: $owner${index}, name: $name${index}) {
+                    issue(number: $number${index}) {
+                        state
+                        stateReason
+                        url
+                        updatedAt
+                        assignees(first: 10) {
+                            nodes { id login }
+                        }
+                        closedByPullRequestsReferences(first: 10, includeClosedPrs: true) {
+                            nodes { ...TrackedPullRequest }
+                        }
+                        timelineItems(first: 25, itemTypes: [CROSS_REFERENCED_EVENT]) {
+                            nodes {
+                                ... on CrossReferencedEvent {
+                                    source { ...TrackedPullRequest }
+                                }
+                            }
+                        }
+                    }
+                }`;
+        });
+        const declarations = issues.map((issue, index) =>
+            `$owner${index}: String!, $name${index}: String!, $number${index}: Int!`).join(', ');
+        const query = `query CampaignIssues(${declarations}) {${fields.join('')}
+            }
+            fragment TrackedPullRequest on PullRequest {
+                number
+                url
+                state
+                isDraft
+                updatedAt
+                author {
+                    login
+                    ... on Bot { id }
+                }
+            }`;
+        
+        const data = await APIUtils.githubGraphQL(query, variables, { allowPartial: true });
+        
+        const statuses = new Map();
+        (data.errors || []).forEach(error => {
+            const alias = (error.path || [])[0];
+            const index = alias ? parseInt(alias.replace('issue', ''), 10) : NaN;
+            if (!isNaN(index)) {
+                statuses.set(this.key(issues[index].repo, issues[index].number), { error: error.message });
+            }
+        });
+        
+        issues.forEach((issue, index) => {
+            const key = this.key(issue.repo, issue.number);
+            const repository = data.data[`issue${index}`];
+            if (repository && repository.issue) {
+                statuses.set(key, this.toStatus(repository.issue));
+            } else if (!statuses.has(key)) {
+                statuses.set(key, { error: 'Issue not found' });
+            }
+        });
+        
+        return statuses;
+    },
+
+    /**
+     * Summarize an issue and its most relevant pull request
+     * @param {Object} issue - Issue from the GraphQL response
+     * @returns {Object} { state, stateReason, url, updatedAt, assignees, copilotAssigned, pullRequest, progress }
+     */
+    toStatus(issue) {
+        const assignees = issue.assignees.nodes.map(node => node.login);
+        const pullRequest = this.findPullRequest(issue);
+        const copilotAssigned = issue.assignees.nodes.some(node => CopilotActor.isCopilot(node));
+        
+        let progress;
+        if (pullRequest) {
+            progress = pullRequest.status;
+        } else if (issue.state === 'CLOSED') {
+            progress = 'issue-closed';
+        } else {
+            progress = copilotAssigned ? 'working' : 'unassigned';
+        }
+        
+        return {
+            state: issue.state.toLowerCase(),
+            stateReason: issue.stateReason ? issue.stateReason.toLowerCase() : null,
+            url: issue.url,
+            updatedAt: issue.updatedAt,
+            assignees,
+            copilotAssigned,
+            pullRequest,
+            progress
+        };
+    },
+
+    /**
+     * Pick the pull request that shows how far the issue got, preferring ones opened by Copilot
+     * @param {Object} issue - Issue from the GraphQL response
+     * @returns {Object|null} { number, url, status, author, updatedAt, byCopilot }
+     */
+    findPullRequest(issue) {
+        const candidates = [
+            ...issue.closedByPullRequestsReferences.nodes,
+            ...issue.timelineItems.nodes.map(node => node && node.source)
+        ].filter(pr => pr && pr.number);
+        
+        const byUrl = new Map();
+        candidates.forEach(pr => {
+            const status = pr.state === 'MERGED' ? 'merged' 
+                : pr.state === 'CLOSED' ? 'closed' 
+                : pr.isDraft ? 'draft' : 'open';
+            const author = pr.author ? pr.author.login : null;
+            byUrl.set(pr.url, {
+                number: pr.number,
+                url: pr.url,
+                status,
+                author,
+                updatedAt: pr.updatedAt,
+                byCopilot: CopilotActor.isCopilot(pr.author)
+            });
+        });
+        
+        const ranked = [...byUrl.values()].sort((a, b) => 
+            (b.byCopilot - a.byCopilot) ||
+            (this.STATES.indexOf(b.status) - this.STATES.indexOf(a.status)) ||
+            (Date.parse(b.updatedAt) - Date.parse(a.updatedAt)));
+        return ranked[0] || null;
+    }
+};
+
+/**
+ * Creates the campaign labels with consistent colors and descriptions before issues use them.
+ * Without this GitHub creates them with random colors, or drops them when the token cannot create labels.
+ */
+const CampaignLabels = {
+    provisioned: new Map(), // repository name -> { repo, created, updated, unchanged, denied, error }
+
+    /**
+     * Forget the outcome of earlier runs
+     */
+    reset() {
+        this.provisioned.clear();
+    },
+
+    /**
+     * Describe a label as it should exist in every repository
+     * @param {string} name - Label name
+     * @returns {Object} Label as { name, color, description, configured }
+     */
+    getDefinition(name) {
+        const configured = APP_CONFIG.CAMPAIGN.LABELS[name];
+        if (configured) return { name, ...configured, configured: true };
+        
+        const { color, description } = APP_CONFIG.CAMPAIGN.DEFAULT_LABEL;
+        return { 
+            name, 
+            color, 
+            description: description.replace('{campaign}', getUseCaseDisplayName(appState.selectedUseCase)).slice(0, 100),
+            configured: false
+        };
+    },
+
+    /**
+     * Make sure a label exists in a repository. Labels with a configured style are updated to it;
+     * other labels such as `documentation` may be shared with other work, so existing ones are left alone.
+     * The label is read first so that writes, which count towards the content creation limit,
+     * are only sent when something has to change.
+     * @param {string} repoName - Repository name
+     * @param {Object} definition - Label from getDefinition
+     * @param {string} org - Organization, the signed-in one by default
+     * @returns {Promise<string>} 'created', 'updated' or 'unchanged'
+     */
+    async ensure(repoName, definition, org = appState.orgName) {
+        const labelsEndpoint = `/repos/${org}/${repoName}/labels`;
+        const { name, color, description } = definition;
+        
+        let existing = null;
+        try {
+            existing = await APIUtils.githubAPI(`${labelsEndpoint}/${encodeURIComponent(name)}`);
+        } catch (error) {
+            if (!(error instanceof APIError && error.status === 404)) throw error;
+        }
+        
+        if (existing) {
+            const matches = (existing.color || '').toLowerCase() === color.toLowerCase() && 
+                (existing.description || '') === description;
+            if (!definition.configured || matches) return 'unchanged';
+            
+            await APIUtils.githubAPI(`${labelsEndpoint}/${encodeURIComponent(name)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ color, description })
+            });
+            return 'updated';
+        }
+        
+        try {
+            await APIUtils.githubAPI(labelsEndpoint, {
+                method: 'POST',
+                body: JSON.stringify({ name, color, description })
+            });
+            return 'created';
+        } catch (error) {
+            // Created concurrently since it was read; other validation failures are real errors
+            if (this.isAlreadyExists(error)) return 'unchanged';
+            throw error;
+        }
+    },
+
+    /**
+     * Whether a failed label creation was rejected because the label already exists
+     * @param {Error} error - Error from the create request
+     * @returns {boolean} True for a 422 whose errors report already_exists
+     */
+    isAlreadyExists(error) {
+        return error instanceof APIError && error.status === 422 && 
+            !!error.body && Array.isArray(error.body.errors) &&
+            error.body.errors.some(detail => detail && detail.code === 'already_exists');
+    },
+
+    /**
+     * Provision every label of the current campaign in one repository
+     * @param {string} repoName - Repository name
+     * @returns {Promise<Object>} Outcome as { repo, created, updated, unchanged, denied, error }
+     */
+    async provisionRepo(repoName) {
+        const outcome = { repo: repoName, created: [], updated: [], unchanged: [], denied: [], error: null };
+        
+        for (const name of getIssueLabels()) {
+            try {
+                outcome[await this.ensure(repoName, this.getDefinition(name))].push(name);
+            } catch (error) {
+                if (error instanceof APIError && error.status === 499) throw error;
+                if (error instanceof APIError && [403, 404].includes(error.status)) {
+                    outcome.denied.push(name);
+                } else {
+                    outcome.error = error.message;
+                }
+            }
+        }
+        
+        if (outcome.denied.length > 0 || outcome.error) {
+            Logger.warn('Campaign labels could not be provisioned', outcome);
+        }
+        this.provisioned.set(repoName, outcome);
+        return outcome;
+    },
+
+    /**
+     * Provision the campaign labels in every target repository before any issue is created
+     * @param {Array<string>} repoNames - Repository names
+     * @param {Function} onProgress - Optional callback (completed, total)
+     * @returns {Promise<Array<Object>>} Outcomes of repositories where some labels could not be provisioned
+     */
+    async provision(repoNames, onProgress) {
+        this.reset();
+        await ExecutionScheduler.run(repoNames, async (repoName) => {
+            try {
+                await this.provisionRepo(repoName);
+            } catch (error) {
+                // Cancelled: the repository is left for processRepository to report
+            }
+        }, {
+            onProgress: onProgress ? (completed, total) => onProgress(completed, total) : undefined
+        });
+        
+        return [...this.provisioned.values()].filter(outcome => outcome.denied.length > 0 || outcome.error);
+    },
+
+    /**
+     * Describe what went wrong provisioning a repository's labels
+     * @param {Object} outcome - Provisioning outcome
+     * @returns {string|null} Message, or null when every label is in place
+     */
+    describeProblem(outcome) {
+        if (!outcome) return null;
+        const problems = [];
+        if (outcome.denied.length > 0) problems.push(`Not allowed to create or update labels: ${outcome.denied.join(', ')}`);
+        if (outcome.error) problems.push(`Label provisioning failed: ${outcome.error}`);
+        return problems.join('; ') || null;
+    }
+};
+
+/**
+ * Adds campaign issues to an organization Project (v2) and sets their field values
+ */
+const ProjectBoard = {
+    /**
+     * List the organization's open projects, most recently updated first
+     * @returns {Promise<Array<Object>>} Projects as { id, number, title, url }
+     */
+    async listProjects() {
+        const query = `
+            query OrgProjects($org: String!, $cursor: String) {
+                organization(login: $org) {
+                    projectsV2(first: 100, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+                        nodes { id number title url closed }
+                        pageInfo { hasNextPage endCursor }
+                    }
+                }
+            }
+        `;
+        const projects = [];
+        let cursor = null;
+        do {
+            const data = await APIUtils.githubGraphQL(query, { org: appState.orgName, cursor });
+            const page = data.data.organization.projectsV2;
+            projects.push(...page.nodes.filter(project => project && !project.closed));
+            cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+        } while (cursor);
+        
+        return projects.map(({ id, number, title, url }) => ({ id, number, title, url }));
+    },
+
+    /**
+     * Find the fields a campaign can set in a project
+     * @param {string} projectId - Project node ID
+     * @returns {Promise<Object>} { status, iteration, campaign }, each null when the project has no such field
+     */
+    async loadFields(projectId) {
+        const query = `
+            query ProjectFields($id: ID!) {
+                node(id: $id) {
+                    ... on ProjectV2 {
+                        fields(first: 50) {
+                            nodes {
+                                ... on ProjectV2FieldCommon { id name dataType }
+                                ... on ProjectV2SingleSelectField { options { id name } }
+                                ... on ProjectV2IterationField {
+                                    configuration { iterations { id title startDate duration } }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `;
+        const data = await APIUtils.githubGraphQL(query, { id: projectId });
+        const fields = data.data.node ? data.data.node.fields.nodes.filter(Boolean) : [];
+        const named = (name, dataType) => fields.find(field => 
+            field.dataType === dataType && field.name.toLowerCase() === name.toLowerCase()) || null;
+        
+        const status = named(APP_CONFIG.CAMPAIGN.PROJECT_STATUS_FIELD, 'SINGLE_SELECT');
+        const iteration = fields.find(field => field.dataType === 'ITERATION') || null;
+        const campaign = named(APP_CONFIG.CAMPAIGN.PROJECT_CAMPAIGN_FIELD, 'TEXT');
+        return {
+            status: status && { id: status.id, name: status.name, options: status.options },
+            iteration: iteration && { id: iteration.id, name: iteration.name, iterations: iteration.configuration.iterations },
+            campaign: campaign && { id: campaign.id, name: campaign.name }
+        };
+    },
+
+    /**
+     * Pick the iteration that contains a date
+     * @param {Array<Object>} iterations - Iterations as { id, startDate, duration } (duration in days)
+     * @param {Date} date - Date to look for
+     * @returns {Object|null} Matching iteration
+     */
+    findIteration(iterations, date = new Date()) {
+        const day = 24 * 60 * 60 * 1000;
+        return iterations.find(iteration => {
+            const start = Date.parse(iteration.startDate);
+            return date >= start && date < start + iteration.duration * day;
+        }) || null;
+    },
+
+    /**
+     * Add an issue to the project and set the chosen field values, all fields in one request
+     * @param {Object} project - { id, title, fields: [{ fieldId, name, value }] }
+     * @param {string} issueNodeId - Issue node ID
+     * @returns {Promise<string>} Project item ID
+     */
+    async addIssue(project, issueNodeId) {
+        const addMutation = `
+            mutation AddProjectItem($projectId: ID!, $contentId: ID!) {
+                addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) {
+                    item { id }
+                }
+            }
+        `;
+        const added = await APIUtils.githubGraphQL(addMutation, { projectId: project.id, contentId: issueNodeId });
+        const itemId = added.data.addProjectV2ItemById.item.id;
+        if (project.fields.length === 0) return itemId;
+        
+        const variables = { projectId: project.id, itemId };
+        const definitions = [];
+        const updates = [];
+        project.fields.forEach((field, index) => {
+            variables[`field${index}`] = field.fieldId;
+            variables[`value${index}`] = field.value;
+            definitions.push(`$field${index}: ID!, $value${index}: ProjectV2FieldValue!`);
+            updates.push(`
+                field${index}: updateProjectV2ItemFieldValue(input: {
+                    projectId: $projectId, itemId: $itemId, fieldId: $field${index}, value: $value${index}
+                }) { projectV2Item { id } }`);
+        });
+        
+        const updateMutation = `
+            mutation SetProjectFields($projectId: ID!, $itemId: ID!, ${definitions.join(', ')}) {
+                ${updates.join('\n')}
+            }
+        `;
+        const updated = await APIUtils.githubGraphQL(updateMutation, variables, { allowPartial: true });
+        if (updated.errors) {
+            const failed = project.fields
+                .filter((field, index) => !updated.data || !updated.data[`field${index}`])
+                .map(field => field.name);
+            throw new APIError(`Added to ${project.title}, but could not set ${failed.join(', ')}: ${updated.errors[0].message}`, 400);
+        }
+        return itemId;
+    }
+};
+
+/**
+ * Custom API Error class for better error handling
+ */
+class APIError extends Error {
+    constructor(message, status = 0, url = '', body = null) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        this.url = url;
+        this.body = body; // Parsed JSON error body, when the API sent one
+    }
+}
+
+/**
+ * Enhanced logging utilities
+ */
+const Logger = {
+    LEVELS: { error: 0, warn: 1, info: 2 },
+    level: 'info', // Most detailed level written to the console
+
+    /**
+     * Whether messages of a level are written with the current setting
+     * @param {string} level - Message level
+     * @returns {boolean} True when the message should be logged
+     */
+    isEnabled(level) {
+        return this.LEVELS[level] <= this.LEVELS[this.level];
+    },
+
+    /**
+     * Log error with context
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     * @param {Object} context - Additional context
+     */
+    error(message, error = null, context = {}) {
+        if (!this.isEnabled('error')) return;
+        
+        const logData = {
+            level: 'ERROR',
+            message,
+            timestamp: new Date().toISOString(),
+            context
+        };
+        
+        if (error) {
+            logData.error = {
+                name: error.name,
+                message: error.message,
+                stack: error.stack?.split('\n').slice(0, 5) // Limit stack trace
+            };
+        }
+        
+        console.error('[AGENT-QUICKSTART]', logData);
+    },
+
+    /**
+     * Log warning with context
+     * @param {string} message - Warning message
+     * @param {Object} context - Additional context
+     */
+    warn(message, context = {}) {
+        if (!this.isEnabled('warn')) return;
+        console.warn('[AGENT-QUICKSTART]', {
+            level: 'WARN',
+            message,
+            timestamp: new Date().toISOString(),
+            context
+        });
+    },
+
+    /**
+     * Log info with context
+     * @param {string} message - Info message
+     * @param {Object} context - Additional context
+     */
+    info(message, context = {}) {
+        if (!this.isEnabled('info')) return;
+        console.info('[AGENT-QUICKSTART]', {
+            level: 'INFO',
+            message,
+            timestamp: new Date().toISOString(),
+            context
+        });
+    }
+};
+
+/**
+ * Secure token handling utilities
+ */
+const SecurityUtils = {
+    /**
+     * Mask token for display purposes
+     * @param {string} token - Token to mask
+     * @returns {string} Masked token
+     */
+    maskToken(token) {
+        if (!token || token.length < 8) return '***';
+        return token.substring(0, 4) + '***' + token.substring(token.length - 4);
+    },
+
+    /**
+     * Identify the kind of token from its prefix
+     * @param {string} token - GitHub token
+     * @returns {string} classic, fine-grained, oauth, app or unknown
+     */
+    getTokenType(token) {
+        if (!token) return 'unknown';
+        if (token.startsWith('github_pat_')) return 'fine-grained';
+        if (token.startsWith('ghp_')) return 'classic';
+        if (token.startsWith('gho_')) return 'oauth';
+        if (token.startsWith('ghs_') || token.startsWith('ghu_')) return 'app';
+        // Legacy classic tokens are 40 hex characters without a prefix
+        return /^[0-9a-f]{40}$/.test(token) ? 'classic' : 'unknown';
+    },
+
+    /**
+     * Create authorization header
+     * @param {string} token - GitHub token
+     * @returns {Object} Headers object
+     */
+    createAuthHeaders(token) {
+        return {
+            'Authorization': `token ${token}`,
+            'Accept': 'application/vnd.github.v3+json',
+            'Content-Type': 'application/json'
+        };
+    }
+};
+
+/**
+ * Where the shared campaign logic reports progress; the web app and the CLI replace these
+ */
+const CampaignHooks = {
+    /**
+     * Show what a long-running operation is doing
+     * @param {string} message - Progress message
+     */
+    progress(message) {},
+
+    /**
+     * Tell the user about something worth noticing
+     * @param {string} message - Notification message
+     * @param {string} type - Notification type (info, success, warning, error)
+     */
+    notify(message, type = 'info') {}
+};
+
+// Repository selection
+
+/**
+ * Repository attribute filters applied in "All repositories" mode
+ * @returns {Object} Default filters
+ */
+function getDefaultRepoFilters() {
+    return {
+        excludeArchived: true,
+        excludeForksAndTemplates: true,
+        visibility: [], // Empty means any visibility
+        languages: '',
+        topics: '',
+        pushedWithinDays: ''
+    };
+}
+
+/**
+ * Split a comma-separated filter field into lower-case values
+ */
+function parseFilterList(value) {
+    return String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Keep the repositories that pass the attribute filters
+ * @param {Array<Object>} repos - Repository objects from the REST API
+ * @param {Object} filters - Repository filters
+ * @returns {Array<Object>} Matching repositories
+ */
+function applyRepoFilters(repos, filters) {
+    const languages = parseFilterList(filters.languages);
+    const topics = parseFilterList(filters.topics);
+    const days = parseInt(filters.pushedWithinDays, 10);
+    const pushedAfter = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : null;
+    
+    return repos.filter(repo => {
+        if (filters.excludeArchived && repo.archived) return false;
+        if (filters.excludeForksAndTemplates && (repo.fork || repo.is_template)) return false;
+        if (filters.visibility.length > 0 && !filters.visibility.includes(repo.visibility)) return false;
+        if (languages.length > 0 && !languages.includes((repo.language || '').toLowerCase())) return false;
+        if (topics.length > 0 && !(repo.topics || []).some(topic => topics.includes(topic.toLowerCase()))) return false;
+        if (pushedAfter !== null && !(repo.pushed_at && Date.parse(repo.pushed_at) >= pushedAfter)) return false;
+        return true;
+    });
+}
+
+/**
+ * Describe the active repository filters in words
+ * @param {Object} filters - Repository filters
+ * @returns {string} Description, empty when nothing is filtered
+ */
+function describeRepoFilters(filters) {
+    const parts = [];
+    if (filters.excludeArchived) parts.push('not archived');
+    if (filters.excludeForksAndTemplates) parts.push('no forks or templates');
+    if (filters.visibility.length > 0) parts.push(filters.visibility.join('/'));
+    if (parseFilterList(filters.languages).length > 0) parts.push(`language: ${filters.languages}`);
+    if (parseFilterList(filters.topics).length > 0) parts.push(`topics: ${filters.topics}`);
+    if (parseInt(filters.pushedWithinDays, 10) > 0) parts.push(`pushed within ${parseInt(filters.pushedWithinDays, 10)} days`);
+    return parts.join(', ');
+}
+
+/**
+ * Fetch every repository's custom property values, following pagination
+ * @param {boolean} refresh - Ignore the cached response
+ * @param {Function} onPage - Called with the number of repositories scanned so far
+ * @returns {Promise<Array<Object>>} Entries as { repository_name, properties: [{ property_name, value }] }
+ */
+async function loadPropertyValues(refresh = false, onPage = () => {}) {
+    if (appState.propertyValues && !refresh) {
+        return appState.propertyValues;
+    }
+    
+    // Share one request between the live count and anything else asking meanwhile
+    const org = appState.orgName;
+    if (!propertyValuesRequest || refresh || propertyValuesRequest.org !== org) {
+        const request = {
+            org,
+            promise: APIUtils.githubPaginate(`/orgs/${org}/properties/values`, { onPage })
+                .finally(() => {
+                    // A newer request may have replaced this one meanwhile
+                    if (propertyValuesRequest === request) propertyValuesRequest = null;
+                })
+        };
+        propertyValuesRequest = request;
+    }
+    
+    const { org: requestOrg, promise } = propertyValuesRequest;
+    const values = await promise;
+    if (requestOrg !== appState.orgName) {
+        // Signed in to another organization while loading: these values belong to the old one
+        return loadPropertyValues(refresh, onPage);
+    }
+    appState.propertyValues = values;
+    return values;
+}
+
+let propertyValuesRequest = null; // { org, promise } of the request in flight
+
+/**
+ * Flatten a /properties/values entry into a name to value map
+ */
+function getPropertyMap(repoData) {
+    return Object.fromEntries((repoData.properties || []).map(prop => [prop.property_name, prop.value]));
+}
+
+/**
+ * Get all repositories for the organization
+ * @returns {Promise<Array>} Array of repository objects
+ */
+async function getAllOrgRepos() {
+    try {
+        Logger.info('Fetching organization repositories', { org: appState.orgName });
+        
+        const repos = await APIUtils.githubPaginate(`/orgs/${appState.orgName}/repos`, {
+            onPage: (count) => CampaignHooks.progress(`Loading organization repositories... (${count} loaded)`)
+        });
+        
+        Logger.info('Successfully fetched organization repositories', { 
+            org: appState.orgName, 
+            count: repos.length 
+        });
+        
+        return repos;
+    } catch (error) {
+        Logger.error('Failed to fetch organization repositories', error, { 
+            org: appState.orgName 
+        });
+        throw new Error(`Failed to fetch organization repositories: ${error.message}`);
+    }
+}
+
+async function getReposWithCustomProperties() {
+    try {
+        Logger.info('Fetching repositories with custom properties', { 
+            org: appState.orgName,
+            selectedProperties: appState.selectedProperties
+        });
+        
+        // Fetch fresh custom property values for organization repositories
+        const response = await loadPropertyValues(true, (count) => 
+            CampaignHooks.progress(`Scanning custom properties... (${count} repositories)`)
+        );
+        
+        if (response.length === 0) {
+            Logger.warn('No custom property values found or invalid response format');
+            return [];
+        }
+        
+        // Keep repositories matching any OR group of the filter
+        const predicate = PropertyFilter.compile(appState.selectedProperties);
+        const filteredRepos = [];
+        const matchingRepos = new Set();
+        
+        for (const repoData of response) {
+            const repoName = repoData.repository_name;
+            const properties = getPropertyMap(repoData);
+            
+            if (predicate(properties) && !matchingRepos.has(repoName)) {
+                matchingRepos.add(repoName);
+                // Keep the property values so prompt templates can use them
+                filteredRepos.push({ name: repoName, properties });
+            }
+        }
+        
+        Logger.info('Successfully filtered repositories by custom properties', { 
+            org: appState.orgName,
+            scanned: response.length,
+            totalFound: filteredRepos.length,
+            selectedProperties: appState.selectedProperties.length
+        });
+        CampaignHooks.progress(`Scanned ${response.length} repositories, ${filteredRepos.length} match the custom property filter`);
+        CampaignHooks.notify(`Scanned ${response.length} repositories: ${filteredRepos.length} match the custom property filter.`, 'info');
+        
+        return filteredRepos;
+        
+    } catch (error) {
+        Logger.error('Failed to fetch repositories with custom properties', error, { 
+            org: appState.orgName,
+            selectedProperties: appState.selectedProperties
+        });
+        
+        // Fallback: if API call fails, show error and return empty array
+        CampaignHooks.notify('Failed to fetch repositories with custom properties. Please check your permissions.', 'error');
+        return [];
+    }
+}
+
+/**
+ * Determine which repositories the current selection method targets
+ * @returns {Promise<Array>} Array of repository objects
+ */
+async function resolveTargetRepos() {
+    let targetRepos = [];
+    
+    switch (appState.selectionMethod) {
+        case 'all': {
+            const allRepos = await getAllOrgRepos();
+            targetRepos = applyRepoFilters(allRepos, appState.repoFilters);
+            Logger.info('Applied repository filters', { scanned: allRepos.length, matched: targetRepos.length });
+            CampaignHooks.progress(`Scanned ${allRepos.length} repositories, ${targetRepos.length} match the filters`);
+            break;
+        }
+        case 'selected':
+            if (appState.selectedRepos.length === 0) {
+                throw new Error('Please select at least one repository.');
+            }
+            targetRepos = appState.selectedRepos.map(name => ({ name }));
+            break;
+        case 'properties':
+            targetRepos = await getReposWithCustomProperties();
+            break;
+        default:
+            throw new Error('Invalid repository selection method.');
+    }
+    
+    // Leave out repositories the user excluded after the eligibility preflight
+    if (appState.excludedRepos.size > 0) {
+        const before = targetRepos.length;
+        targetRepos = targetRepos.filter(repo => !appState.excludedRepos.has(repo.name));
+        Logger.info('Excluded ineligible repositories', { excluded: before - targetRepos.length });
+    }
+    
+    if (targetRepos.length === 0) {
+        throw new Error('No repositories found to process.');
+    }
+    
+    rememberRepoDetails(targetRepos);
+    return targetRepos;
+}
+
+// Prompt and use case
+
+/**
+ * Split a prompt file into front-matter attributes and markdown body
+ * @param {string} text - Prompt file contents
+ * @returns {Object} { attributes, body }; invalid front-matter is reported and ignored
+ */
+function parsePromptFile(text) {
+    try {
+        return YamlUtils.parseFrontMatter(text);
+    } catch (error) {
+        Logger.warn('Ignoring invalid prompt front-matter', { error: error.message });
+        CampaignHooks.notify(`The prompt front-matter could not be read: ${error.message}`, 'warning');
+        const match = text.match(YamlUtils.FRONT_MATTER_PATTERN);
+        return { attributes: {}, body: match ? text.slice(match[0].length).trimStart() : text };
+    }
+}
+
+/**
+ * Pick the issue settings a prompt file can define
+ * @param {Object} attributes - Parsed front-matter
+ * @returns {Object} { title?, description?, labels, assignees, milestone? }
+ */
+function normalizePromptMetadata(attributes) {
+    const toList = (value) => {
+        if (value === null || value === undefined) return [];
+        const items = Array.isArray(value) ? value : String(value).split(',');
+        return items.map(item => ValidationUtils.sanitizeString(String(item).trim())).filter(Boolean);
+    };
+    const toText = (value) => (typeof value === 'string' || typeof value === 'number') 
+        ? ValidationUtils.sanitizeString(String(value).trim()) 
+        : '';
+    
+    const metadata = {
+        labels: toList(attributes.labels).map(label => label.slice(0, 50)),
+        assignees: toList(attributes.assignees).filter(login => /^[a-zA-Z0-9-]+$/.test(login))
+    };
+    if (toText(attributes.title)) metadata.title = toText(attributes.title).slice(0, 200);
+    if (toText(attributes.description)) metadata.description = toText(attributes.description);
+    if (toText(attributes.milestone)) metadata.milestone = toText(attributes.milestone);
+    return metadata;
+}
+
+function getUseCaseDisplayName(useCase) {
+    const definition = UseCaseRegistry.get(useCase);
+    return definition ? definition.name : useCase;
+}
+
+function getFallbackPrompt(useCase) {
+    const definition = UseCaseRegistry.get(useCase);
+    return definition ? definition.fallbackPrompt : UseCaseRegistry.DEFAULT_PROMPT;
+}
+
+// Issue content
+
+/**
+ * Get the labels applied to every campaign issue
+ * @returns {Array<string>} Label names
+ */
+function getCampaignLabels() {
+    const useCase = UseCaseRegistry.get(appState.selectedUseCase);
+    const labels = useCase ? useCase.labels : [appState.selectedUseCase];
+    return [...new Set(['copilot-agent', ...labels])];
+}
+
+/**
+ * Get every label a campaign issue is created with, including those from the prompt front-matter
+ * @returns {Array<string>} Label names
+ */
+function getIssueLabels() {
+    const metadata = appState.promptMetadata || {};
+    return [...new Set([...getCampaignLabels(), ...(metadata.labels || [])])];
+}
+
+/**
+ * Get the hidden campaign marker embedded in issue bodies
+ * @param {string} useCase - Use case identifier
+ * @returns {string} HTML comment identifying the campaign
+ */
+function getCampaignMarker(useCase) {
+    return `<!-- ${APP_CONFIG.CAMPAIGN.MARKER_PREFIX}${useCase} -->`;
+}
+
+/**
+ * Remember repository objects already fetched so templates can use them without extra calls
+ * @param {Array<Object>} repos - Repository objects (REST repos or { name, properties })
+ */
+function rememberRepoDetails(repos) {
+    repos.forEach(repo => {
+        const known = appState.repoDetails.get(repo.name) || {};
+        appState.repoDetails.set(repo.name, { ...known, ...repo });
+    });
+}
+
+/**
+ * Build the template context for a repository, fetching only what the template needs
+ * @param {string} repoName - Repository name
+ * @param {Array<string>} variables - Variables used by the template
+ * @returns {Promise<Object>} Context with org, repo and properties
+ */
+async function getRepoTemplateContext(repoName, variables) {
+    let details = appState.repoDetails.get(repoName) || 
+        appState.allRepos.find(repo => repo.name === repoName) || 
+        { name: repoName };
+    
+    const needsRepoMetadata = variables.some(name => name.startsWith('repo.') && name !== 'repo.name');
+    const needsProperties = variables.some(name => name.startsWith('properties.'));
+    
+    // `default_branch` is only present on full repository objects from the REST API
+    if (needsRepoMetadata && !('default_branch' in details)) {
+        const repo = await APIUtils.githubAPI(`/repos/${appState.orgName}/${repoName}`);
+        details = { ...details, ...repo };
+        rememberRepoDetails([details]);
+    }
+    
+    if (needsProperties && !details.properties) {
+        const values = await APIUtils.githubAPI(`/repos/${appState.orgName}/${repoName}/properties/values`);
+        details = { 
+            ...details, 
+            properties: Object.fromEntries(values.map(property => [property.property_name, property.value]))
+        };
+        rememberRepoDetails([details]);
+    }
+    
+    return { 
+        org: appState.orgName, 
+        repo: details, 
+        properties: details.properties || {} 
+    };
+}
+
+/**
+ * Find template variables that can never be resolved
+ * @param {string} template - Prompt template
+ * @returns {Array<string>} Unknown variable names
+ */
+function getUnknownTemplateVariables(template) {
+    const propertyNames = appState.allProperties.map(property => property.property_name);
+    return TemplateUtils.getVariables(template)
+        .filter(name => !TemplateUtils.isKnownVariable(name, propertyNames));
+}
+
+/**
+ * Issue title template: the prompt's front-matter title, else the use case's issue title
+ * @returns {string} Title template
+ */
+function getIssueTitleTemplate() {
+    const useCase = UseCaseRegistry.get(appState.selectedUseCase);
+    const metadata = appState.promptMetadata || {};
+    return metadata.title 
+        || (useCase ? useCase.issueTitle : `${appState.selectedUseCase} - Copilot Agent Task`);
+}
+
+/**
+ * Build the issue payload that will be created in a repository
+ * @param {string} repoName - Repository name
+ * @returns {Object} Issue title, body and labels
+ */
+async function buildIssueData(repoName) {
+    const metadata = appState.promptMetadata || {};
+    const titleTemplate = getIssueTitleTemplate();
+    const variables = TemplateUtils.getVariables(`${titleTemplate}\n${appState.promptContent}`);
+    const context = await getRepoTemplateContext(repoName, variables);
+    const title = TemplateUtils.render(titleTemplate, context);
+    const { text, unresolved } = TemplateUtils.render(appState.promptContent, context);
+    
+    // The marker is appended after sanitization, which would otherwise strip the comment delimiters
+    const issueData = {
+        title: ValidationUtils.sanitizeString(title.text),
+        body: `${ValidationUtils.sanitizeString(text)}\n\n${getCampaignMarker(appState.selectedUseCase)}`,
+        labels: getIssueLabels(),
+        unresolvedVariables: [...new Set([...title.unresolved, ...unresolved])]
+    };
+    
+    if (metadata.assignees && metadata.assignees.length > 0) {
+        issueData.assignees = metadata.assignees;
+    }
+    if (metadata.milestone) {
+        const milestone = await resolveMilestone(repoName, metadata.milestone);
+        if (milestone !== null) issueData.milestone = milestone;
+    }
+    
+    return issueData;
+}
+
+/**
+ * Find a repository milestone by title (or number)
+ * @param {string} repoName - Repository name
+ * @param {string} milestone - Milestone title or number from the prompt front-matter
+ * @returns {Promise<number|null>} Milestone number, or null if the repository has no such milestone
+ */
+async function resolveMilestone(repoName, milestone) {
+    if (/^\d+$/.test(milestone)) {
+        return Number(milestone);
+    }
+    
+    const milestones = await APIUtils.githubAPI(
+        `/repos/${appState.orgName}/${repoName}/milestones?state=open&per_page=100`
+    );
+    const match = milestones.find(item => item.title.toLowerCase() === milestone.toLowerCase());
+    if (!match) {
+        Logger.warn('Milestone not found, creating the issue without it', { repo: repoName, milestone });
+        return null;
+    }
+    return match.number;
+}
+
+// Campaign execution
+
+/**
+ * Look up an issue created for the same campaign by an earlier run
+ * @param {string} repoName - Repository name
+ * @returns {Promise<Object|null>} Existing issue (open issues preferred) or null
+ */
+async function findExistingCampaignIssue(repoName) {
+    const labels = getCampaignLabels();
+    const marker = getCampaignMarker(appState.selectedUseCase);
+    const issuesEndpoint = `/repos/${appState.orgName}/${repoName}/issues`;
+    
+    // The issues endpoint also returns pull requests, which never count as campaign issues
+    const labelled = await APIUtils.githubAPI(
+        `${issuesEndpoint}?state=all&labels=${encodeURIComponent(labels.join(','))}&per_page=100`
+    );
+    let candidates = labelled.filter(issue => !issue.pull_request);
+    
+    // Labels may have been removed by hand; fall back to the marker in recent issues
+    if (candidates.length === 0) {
+        const recent = await APIUtils.githubAPI(
+            `${issuesEndpoint}?state=all&sort=created&direction=desc&per_page=100`
+        );
+        candidates = recent.filter(issue => 
+            !issue.pull_request && issue.body && issue.body.includes(marker)
+        );
+    }
+    
+    return candidates.find(issue => issue.state === 'open') || candidates[0] || null;
+}
+
+/**
+ * Decide what to do in a repository given an existing campaign issue and the chosen policy
+ * @param {Object|null} existingIssue - Issue found by findExistingCampaignIssue
+ * @param {string} policy - Duplicate policy (skip, comment, reopen, create)
+ * @returns {string} Action to take: create, skip, comment or reopen
+ */
+function resolveDuplicateAction(existingIssue, policy) {
+    if (!existingIssue || policy === 'create') return 'create';
+    
+    if (existingIssue.state === 'open') {
+        return policy === 'comment' ? 'comment' : 'skip';
+    }
+    
+    // Only closed issues remain; reopening is the only policy that revives them
+    return policy === 'reopen' ? 'reopen' : 'create';
+}
+
+/**
+ * Describe a planned duplicate action for previews
+ * @param {string} action - Action from resolveDuplicateAction
+ * @param {Object|null} existingIssue - Existing campaign issue
+ * @returns {string} Human readable description
+ */
+function describeDuplicateAction(action, existingIssue) {
+    switch (action) {
+        case 'skip':
+            return `Skip (#${existingIssue.number} already open)`;
+        case 'comment':
+            return `Comment on #${existingIssue.number}`;
+        case 'reopen':
+            return `Reopen #${existingIssue.number}`;
+        default:
+            return existingIssue ? `Create new (#${existingIssue.number} is ${existingIssue.state})` : 'Create new issue';
+    }
+}
+
+/**
+ * Describe why a repository cannot take a Copilot campaign issue
+ * @param {string} repoName - Repository name
+ * @param {Object} status - Status from CopilotActor.check
+ * @returns {Object} Eligibility entry for the repository
+ */
+function toEligibilityEntry(repoName, status) {
+    if (status.error) {
+        return { repo: repoName, eligible: false, reasons: [`Check failed: ${status.error}`], error: status.error };
+    }
+    
+    const { hasIssuesEnabled, isArchived, copilotAvailable } = status;
+    const reasons = [];
+    if (isArchived) reasons.push('Repository is archived');
+    if (!hasIssuesEnabled) reasons.push('Issues are disabled');
+    if (hasIssuesEnabled && !isArchived && !copilotAvailable) reasons.push('Copilot coding agent cannot be assigned');
+    
+    return { repo: repoName, hasIssuesEnabled, isArchived, copilotAvailable, eligible: reasons.length === 0, reasons, error: null };
+}
+
+/**
+ * Look up Copilot for all target repositories up front, a batch of repositories per request.
+ * Failures are left for the per-repository lookup to report.
+ * @param {Array} targetRepos - Repository objects
+ */
+async function primeCopilotEligibility(targetRepos) {
+    try {
+        await CopilotActor.check(targetRepos.map(repo => repo.name), (checked, total) => 
+            CampaignHooks.progress(`Checking Copilot for ${checked}/${total} repositories...`));
+    } catch (error) {
+        Logger.warn('Batched Copilot lookup failed', { error: error.message });
+    }
+}
+
+/**
+ * Describe the issue a run would create in a repository, without creating anything
+ * @param {string} repoName - Repository name
+ * @returns {Promise<Object|null>} Dry run entry with the issue data, planned action and Copilot availability,
+ *                                 or null when the run was cancelled before the repository was previewed
+ */
+async function previewRepository(repoName) {
+    let issueData;
+    try {
+        issueData = await buildIssueData(repoName);
+    } catch (error) {
+        if (error instanceof APIError && error.status === 499) return null;
+        
+        // One unreadable repository is reported in its entry instead of failing the whole dry run
+        Logger.error('Failed to preview repository', error, { repo: repoName });
+        return {
+            repo: repoName,
+            title: null,
+            body: '',
+            labels: [],
+            unresolvedVariables: [],
+            plannedAction: 'Not previewed (error)',
+            copilotAvailable: false,
+            copilotError: null,
+            error: error.message
+        };
+    }
+    
+    const entry = { 
+        repo: repoName, 
+        ...issueData,
+        plannedAction: 'Create new issue',
+        copilotAvailable: false,
+        copilotError: null,
+        error: null
+    };
+    
+    if (appState.duplicatePolicy !== 'create') {
+        try {
+            const existingIssue = await findExistingCampaignIssue(repoName);
+            const action = resolveDuplicateAction(existingIssue, appState.duplicatePolicy);
+            entry.plannedAction = describeDuplicateAction(action, existingIssue);
+        } catch (error) {
+            Logger.warn('Duplicate lookup failed during dry run', { repo: repoName, error: error.message });
+            entry.plannedAction = 'Unknown (lookup failed)';
+        }
+    }
+    
+    // Read-only lookup: suggestedActors never modifies the repository
+    try {
+        entry.copilotAvailable = !!(await findCopilotBot(repoName));
+    } catch (error) {
+        Logger.warn('Copilot lookup failed during dry run', { repo: repoName, error: error.message });
+        entry.copilotError = error.message;
+    }
+    
+    return entry;
+}
+
+/**
+ * Split the target repositories into rollout waves: a canary set first, then the remaining
+ * repositories up to each cumulative percentage
+ * @param {Array} targetRepos - Repository objects
+ * @param {Object} plan - { canaryRepos: names picked by hand, or canarySize random repositories, percentages }
+ * @returns {Array<Array>} Non-empty waves of repository objects, the canary first
+ */
+function planRolloutWaves(targetRepos, { canaryRepos = [], canarySize = 0, percentages = [] }) {
+    let canary;
+    if (canaryRepos.length > 0) {
+        const byName = new Map(targetRepos.map(repo => [repo.name.toLowerCase(), repo]));
+        const missing = canaryRepos.filter(name => !byName.has(name.toLowerCase()));
+        if (missing.length > 0) {
+            throw new Error(`Canary repositories are not among the targets: ${missing.join(', ')}`);
+        }
+        canary = [...new Set(canaryRepos.map(name => byName.get(name.toLowerCase())))];
+    } else {
+        // Fisher-Yates shuffle, so every repository is as likely to be in the canary
+        const shuffled = [...targetRepos];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        canary = shuffled.slice(0, canarySize);
+    }
+    
+    const inCanary = new Set(canary);
+    const rest = targetRepos.filter(repo => !inCanary.has(repo));
+    const waves = [canary];
+    let start = 0;
+    [...new Set([...percentages, 100])].sort((a, b) => a - b).forEach(percentage => {
+        const end = Math.min(rest.length, Math.ceil(rest.length * percentage / 100));
+        if (end > start) {
+            waves.push(rest.slice(start, end));
+            start = end;
+        }
+    });
+    
+    return waves.filter(wave => wave.length > 0);
+}
+
+/**
+ * Process every target repository concurrently; throughput is governed by GitHub's rate limits
+ * @param {Array} targetRepos - Repository objects
+ * @param {Function} onProgress - Optional callback (completed, total, repo)
+ * @returns {Promise<Array>} Run result entries in repository order
+ */
+async function processRepositories(targetRepos, onProgress) {
+    const unprovisioned = await CampaignLabels.provision(targetRepos.map(repo => repo.name), (completed, total) => 
+        CampaignHooks.progress(`Preparing labels in ${completed}/${total} repositories...`));
+    if (unprovisioned.length > 0) {
+        CampaignHooks.notify(
+            `Campaign labels could not be created in ${unprovisioned.length} repositories: ${unprovisioned.map(outcome => outcome.repo).join(', ')}`, 
+            'warning'
+        );
+    }
+    
+    const outcomes = await ExecutionScheduler.run(targetRepos, repo => processRepository(repo.name), { onProgress });
+    
+    // Repositories the scheduler never started are reported explicitly after a cancel
+    return outcomes.map((entry, index) => entry || {
+        repo: targetRepos[index].name,
+        success: false,
+        notStarted: true,
+        error: 'Not started: the run was cancelled',
+        errorType: 'Cancelled'
+    });
+}
+
+/**
+ * Create the issue for a single repository and describe the outcome
+ * @param {string} repoName - Repository name
+ * @returns {Promise<Object>} Run result entry for the repository
+ */
+async function processRepository(repoName) {
+    const startTime = Date.now();
+    try {
+        // Retries reuse the labels provisioned for the run
+        const labels = CampaignLabels.provisioned.get(repoName) || await CampaignLabels.provisionRepo(repoName);
+        const { issue, action, assignmentError, projectError } = await createIssueAndAssignCopilot(repoName);
+        return { 
+            repo: repoName, 
+            success: true, 
+            action: action,
+            issue: issue,
+            issueUrl: issue.html_url,
+            // Skipped repositories keep their existing issue untouched, so assignment is not attempted
+            assigned: action === 'skip' ? null : !assignmentError,
+            assignmentError: assignmentError ? assignmentError.message : null,
+            labelError: CampaignLabels.describeProblem(labels),
+            projectError: projectError ? projectError.message : null,
+            durationMs: Date.now() - startTime
+        };
+    } catch (error) {
+        if (error instanceof APIError && error.status === 499) {
+            // Aborted mid-flight: GitHub may already have accepted a request that was in progress
+            return { 
+                repo: repoName, 
+                success: false, 
+                cancelled: true,
+                error: 'Cancelled while in progress; check the repository, the issue may already exist',
+                errorType: 'Cancelled',
+                durationMs: Date.now() - startTime
+            };
+        }
+        
+        Logger.error('Failed to process repository', error, { repo: repoName });
+        return { 
+            repo: repoName, 
+            success: false, 
+            error: error.message,
+            errorType: error.name,
+            durationMs: Date.now() - startTime
+        };
+    }
+}
+
+/**
+ * Classify a run result entry for display and filtering
+ * @param {Object} entry - Run result entry
+ * @returns {string} Outcome: not-started, cancelled, failed, skipped, unassigned or succeeded
+ */
+function getResultOutcome(entry) {
+    if (entry.notStarted) return 'not-started';
+    if (entry.cancelled) return 'cancelled';
+    if (!entry.success) return 'failed';
+    if (entry.action === 'skip') return 'skipped';
+    if (entry.assigned === false) return 'unassigned';
+    return 'succeeded';
+}
+
+/**
+ * Flatten a run result entry into an exportable record
+ * @param {Object} entry - Run result entry
+ * @returns {Object} Plain record without the raw API payloads
+ */
+function toResultRecord(entry) {
+    return {
+        repository: entry.repo,
+        outcome: getResultOutcome(entry),
+        action: entry.action || null,
+        issueNumber: entry.issue ? entry.issue.number : null,
+        issueUrl: entry.issueUrl || null,
+        copilotAssigned: entry.assigned ?? null,
+        errorType: entry.errorType || null,
+        error: entry.error || entry.assignmentError || null,
+        durationMs: entry.durationMs ?? null,
+        labelError: entry.labelError || null,
+        projectError: entry.projectError || null,
+        wave: entry.wave ?? null,
+        rollback: entry.rollback ? entry.rollback.status : null
+    };
+}
+
+// Values a results file written by toResultRecord can hold; anything else was edited in
+const RESULT_ACTIONS = ['create', 'skip', 'comment', 'reopen'];
+const RESULT_ERROR_TYPES = ['APIError', 'Cancelled', 'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError'];
+const ROLLBACK_STATUSES = ['closed', 'failed'];
+
+/**
+ * Keep a link from a results file only when it points at the run's GitHub host
+ * @param {*} value - Link from the file
+ * @param {string} host - Web host of the run, e.g. github.com
+ * @returns {string|null} Normalized https URL, or null
+ */
+function getIssueUrlOnHost(value, host) {
+    if (typeof value !== 'string') return null;
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' && url.host === host ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Rebuild a run result entry from an exported record, the inverse of toResultRecord.
+ * The file may have been edited, so every field is checked against what toResultRecord writes.
+ * @param {Object} record - Record from an exported results file
+ * @param {string} host - Web host of the run, e.g. github.com
+ * @returns {Object} Run result entry
+ */
+function fromResultRecord(record, host) {
+    const known = (value, values) => values.includes(value) ? value : null;
+    const text = (value) => typeof value === 'string' && value ? value : null;
+    const count = (value) => Number.isInteger(value) && value >= 0 ? value : null;
+    
+    const outcome = record.outcome || 'failed';
+    const issueUrl = getIssueUrlOnHost(record.issueUrl, host);
+    const issueNumber = Number(record.issueNumber);
+    const issue = Number.isInteger(issueNumber) && issueNumber > 0 ? { number: issueNumber, html_url: issueUrl } : null;
+    const error = text(record.error);
+    return {
+        repo: ValidationUtils.sanitizeString(record.repository),
+        success: ['succeeded', 'unassigned', 'skipped'].includes(outcome),
+        cancelled: outcome === 'cancelled',
+        notStarted: outcome === 'not-started',
+        action: known(record.action, RESULT_ACTIONS),
+        issue,
+        issueUrl: issue ? issueUrl : null,
+        assigned: typeof record.copilotAssigned === 'boolean' ? record.copilotAssigned : null,
+        assignmentError: outcome === 'unassigned' ? error : null,
+        error: outcome === 'unassigned' ? null : error,
+        errorType: known(record.errorType, RESULT_ERROR_TYPES),
+        durationMs: count(record.durationMs),
+        labelError: text(record.labelError),
+        projectError: text(record.projectError),
+        wave: count(record.wave),
+        rollback: known(record.rollback, ROLLBACK_STATUSES) ? { status: record.rollback, error: null } : null
+    };
+}
+
+/**
+ * Enhanced issue creation with proper error handling and validation
+ * @param {string} repoName - Repository name
+ * @returns {Promise<Object>} Issue, the action taken (create, skip, comment, reopen)
+ *                            and the Copilot assignment and project errors, if any
+ */
+async function createIssueAndAssignCopilot(repoName) {
+    try {
+        // Validate inputs
+        if (!repoName || !ValidationUtils.sanitizeString(repoName)) {
+            throw new APIError('Invalid repository name', 400);
+        }
+        
+        if (!appState.promptContent.trim()) {
+            throw new APIError('Prompt content is required', 400);
+        }
+        
+        const issuesEndpoint = `/repos/${appState.orgName}/${repoName}/issues`;
+        const { unresolvedVariables, ...issueData } = await buildIssueData(repoName);
+        if (unresolvedVariables.length > 0) {
+            Logger.warn('Template variables without a value', { repo: repoName, variables: unresolvedVariables });
+        }
+        
+        // Idempotency guard: reuse campaign issues from earlier runs according to the chosen policy
+        let existingIssue = null;
+        if (appState.duplicatePolicy !== 'create') {
+            existingIssue = await findExistingCampaignIssue(repoName);
+        }
+        const action = resolveDuplicateAction(existingIssue, appState.duplicatePolicy);
+        
+        if (action === 'skip') {
+            Logger.info('Skipping repository with an open campaign issue', { 
+                repo: repoName, 
+                issueNumber: existingIssue.number 
+            });
+            return { issue: existingIssue, action, assignmentError: null, projectError: null };
+        }
+        
+        let issue;
+        if (action === 'create') {
+            Logger.info('Creating issue', { repo: repoName, useCase: appState.selectedUseCase });
+            
+            // Create the issue with sanitized content
+            issue = await APIUtils.githubAPI(issuesEndpoint, {
+                method: 'POST',
+                body: JSON.stringify(issueData)
+            });
+            
+            Logger.info('Issue created successfully', { 
+                repo: repoName, 
+                issueNumber: issue.number,
+                issueId: issue.id
+            });
+        } else {
+            issue = existingIssue;
+            
+            if (action === 'reopen') {
+                issue = await APIUtils.githubAPI(`${issuesEndpoint}/${issue.number}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ state: 'open' })
+                });
+            }
+            
+            await APIUtils.githubAPI(`${issuesEndpoint}/${issue.number}/comments`, {
+                method: 'POST',
+                body: JSON.stringify({ 
+                    body: `🔁 This Copilot campaign was run again on ${new Date().toLocaleDateString()}. Current instructions:\n\n${issueData.body}` 
+                })
+            });
+            
+            Logger.info('Existing campaign issue updated', { 
+                repo: repoName, 
+                issueNumber: issue.number, 
+                action 
+            });
+        }
+        
+        // Try to assign Copilot (this might fail if the bot isn't available)
+        let assignmentError = null;
+        try {
+            await assignCopilotToIssue(repoName, issue.number, issue);
+            Logger.info('Copilot assigned successfully', { repo: repoName, issueNumber: issue.number });
+        } catch (error) {
+            Logger.warn('Failed to assign Copilot to issue', { 
+                repo: repoName, 
+                issueNumber: issue.number,
+                error: error.message
+            });
+            // Continue even if assignment fails; the run results keep the error for retrying
+            assignmentError = error;
+        }
+        
+        let projectError = null;
+        if (appState.project) {
+            try {
+                await ProjectBoard.addIssue(appState.project, issue.node_id);
+                Logger.info('Issue added to project', { repo: repoName, issueNumber: issue.number, project: appState.project.title });
+            } catch (error) {
+                if (error instanceof APIError && error.status === 499) throw error;
+                Logger.warn('Failed to add issue to project', { 
+                    repo: repoName, 
+                    issueNumber: issue.number,
+                    error: error.message
+                });
+                projectError = error;
+            }
+        }
+        
+        return { issue, action, assignmentError, projectError };
+        
+    } catch (error) {
+        Logger.error('Failed to create issue and assign Copilot', error, { 
+            repo: repoName,
+            org: appState.orgName
+        });
+        throw error;
+    }
+}
+
+/**
+ * Assign Copilot to an issue, keeping anyone already assigned
+ * @param {string} repoName - Repository name
+ * @param {number} issueNumber - Issue number
+ * @param {Object} issue - Issue just returned by the API, saves looking it up again
+ */
+async function assignCopilotToIssue(repoName, issueNumber, issue = null) {
+    try {
+        if (!issue) {
+            issue = await APIUtils.githubAPI(`/repos/${appState.orgName}/${repoName}/issues/${issueNumber}`);
+        }
+        const issueNodeId = issue.node_id;
+        
+        // Find Copilot bot using GraphQL suggestedActors query
+        const copilotAssignee = await findCopilotBot(repoName);
+        
+        if (!copilotAssignee) {
+            throw new Error('Copilot coding agent is not available for assignment in this repository');
+        }
+        
+        // Assign Copilot using GraphQL mutation, keeping anyone already assigned
+        const currentAssignees = (issue.assignees || []).map(assignee => assignee.node_id);
+        await replaceIssueAssignees(issueNodeId, [...currentAssignees, copilotAssignee.id]);
+        
+    } catch (error) {
+        Logger.warn('Error assigning Copilot to issue', { repo: repoName, issueNumber, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Find the Copilot coding agent if it can be assigned in a repository
+ * @param {string} repoName - Repository name
+ * @returns {Promise<Object|null>} Bot as { id, login }, or null when Copilot cannot be assigned
+ */
+async function findCopilotBot(repoName) {
+    const status = (await CopilotActor.check([repoName])).get(repoName);
+    if (status.error) {
+        throw new APIError(`Could not check Copilot for ${repoName}: ${status.error}`, 400);
+    }
+    return status.copilotAvailable ? CopilotActor.actor : null;
+}
+
+/**
+ * Replace every assignee of an issue, which is the only way to assign the Copilot bot
+ * @param {string} issueNodeId - Issue node ID
+ * @param {Array<string>} actorIds - Node IDs of the users and bots to assign
+ */
+async function replaceIssueAssignees(issueNodeId, actorIds) {
+    const mutation = `
+        mutation ReplaceAssignees($input: ReplaceActorsForAssignableInput!) {
+            replaceActorsForAssignable(input: $input) {
+                __typename
+            }
+        }
+    `;
+    
+    const variables = {
+        input: {
+            assignableId: issueNodeId,
+            actorIds
+        }
+    };
+    Logger.info('Replacing assignees', { assignableId: issueNodeId, actors: actorIds.length });
+    const data = await APIUtils.githubGraphQL(mutation, variables);
+    return data.data.replaceActorsForAssignable;
+}
+
+/**
+ * Remove Copilot from an issue, keeping everyone else assigned
+ * @param {string} org - Organization the issue belongs to
+ * @param {string} repoName - Repository name
+ * @param {number} issueNumber - Issue number
+ * @returns {Promise<boolean>} Whether Copilot was assigned and has been removed
+ */
+async function unassignCopilotFromIssue(org, repoName, issueNumber) {
+    const query = `
+        query IssueAssignees($owner: String!, $name: String!, $number: Int!) {
+            repository(owner: $owner, name: $name) {
+                issue(number: $number) {
+                    id
+                    assignees(first: 20) {
+                        nodes { id login }
+                    }
+                }
+            }
+        }
+    `;
+    const data = await APIUtils.githubGraphQL(query, { owner: org, name: repoName, number: issueNumber });
+    const issue = data.data.repository && data.data.repository.issue;
+    if (!issue) {
+        throw new APIError(`Issue #${issueNumber} was not found in ${repoName}`, 404);
+    }
+    
+    const copilot = await CopilotActor.resolve([repoName]);
+    if (!copilot) {
+        throw new APIError(`Could not find the Copilot coding agent in ${repoName}`, 404);
+    }
+    
+    const assignees = issue.assignees.nodes;
+    const remaining = assignees.filter(assignee => !CopilotActor.isCopilot(assignee));
+    if (remaining.length === assignees.length) {
+        return false;
+    }
+    await replaceIssueAssignees(issue.id, remaining.map(assignee => assignee.id));
+    return true;
+}
+
+/**
+ * Roll back one campaign issue: optionally unassign Copilot and label it, then comment and close it
+ * @param {string} org - Organization of the run, which may differ from the one signed in to later
+ * @param {string} repoName - Repository name
+ * @param {number} issueNumber - Issue number
+ * @param {Object} options - { comment, unassign, label }
+ * @returns {Promise<Array<string>>} Warnings for the optional steps that failed
+ */
+async function rollbackCampaignIssue(org, repoName, issueNumber, options = {}) {
+    const issueEndpoint = `/repos/${org}/${repoName}/issues/${issueNumber}`;
+    const warnings = [];
+    
+    // Unassign first so Copilot stops picking up the issue as soon as possible
+    if (options.unassign) {
+        try {
+            await unassignCopilotFromIssue(org, repoName, issueNumber);
+        } catch (error) {
+            if (error instanceof APIError && error.status === 499) throw error;
+            warnings.push(`Could not unassign Copilot: ${error.message}`);
+        }
+    }
+    
+    if (options.label) {
+        try {
+            await CampaignLabels.ensure(repoName, CampaignLabels.getDefinition(APP_CONFIG.CAMPAIGN.CANCELLED_LABEL), org);
+            await APIUtils.githubAPI(`${issueEndpoint}/labels`, {
+                method: 'POST',
+                body: JSON.stringify({ labels: [APP_CONFIG.CAMPAIGN.CANCELLED_LABEL] })
+            });
+        } catch (error) {
+            if (error instanceof APIError && error.status === 499) throw error;
+            warnings.push(`Could not add the ${APP_CONFIG.CAMPAIGN.CANCELLED_LABEL} label: ${error.message}`);
+        }
+    }
+    
+    if (options.comment && options.comment.trim()) {
+        await APIUtils.githubAPI(`${issueEndpoint}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body: options.comment.trim() })
+        });
+    }
+    
+    await APIUtils.githubAPI(issueEndpoint, {
+        method: 'PATCH',
+        body: JSON.stringify({ state: 'closed', state_reason: 'not_planned' })
+    });
+    
+    if (warnings.length > 0) {
+        Logger.warn('Campaign issue closed with warnings', { org, repo: repoName, issueNumber, warnings });
+    } else {
+        Logger.info('Campaign issue rolled back', { org, repo: repoName, issueNumber });
+    }
+    return warnings;
+}
+
+// Node: expose the shared logic to cli.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APP_CONFIG,
+        ValidationUtils,
+        TemplateUtils,
+        YamlUtils,
+        PropertyFilter,
+        UseCaseRegistry,
+        APIUtils,
+        RateLimiter,
+        RunControl,
+        ExecutionScheduler,
+        CopilotActor,
+        IssueTracker,
+        CampaignLabels,
+        ProjectBoard,
+        APIError,
+        Logger,
+        SecurityUtils,
+        CampaignHooks,
+        getDefaultRepoFilters,
+        parseFilterList,
+        applyRepoFilters,
+        describeRepoFilters,
+        loadPropertyValues,
+        getPropertyMap,
+        getAllOrgRepos,
+        getReposWithCustomProperties,
+        resolveTargetRepos,
+        parsePromptFile,
+        normalizePromptMetadata,
+        getUseCaseDisplayName,
+        getFallbackPrompt,
+        getCampaignLabels,
+        getIssueLabels,
+        getCampaignMarker,
+        rememberRepoDetails,
+        getRepoTemplateContext,
+        getUnknownTemplateVariables,
+        getIssueTitleTemplate,
+        buildIssueData,
+        resolveMilestone,
+        findExistingCampaignIssue,
+        resolveDuplicateAction,
+        describeDuplicateAction,
+        toEligibilityEntry,
+        primeCopilotEligibility,
+        previewRepository,
+        planRolloutWaves,
+        processRepositories,
+        processRepository,
+        getResultOutcome,
+        toResultRecord,
+        fromResultRecord,
+        createIssueAndAssignCopilot,
+        assignCopilotToIssue,
+        findCopilotBot,
+        replaceIssueAssignees,
+        unassignCopilotFromIssue,
+        rollbackCampaignIssue
+    };
+}
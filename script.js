@@ -1,226 +1,326 @@
 /**
- * Application configuration constants
- */
-const APP_CONFIG = {
-    API: {
-        GITHUB_BASE_URL: 'https://api.github.com',
-        GITHUB_GRAPHQL_URL: 'https://api.github.com/graphql',
-        RATE_LIMIT_DELAY: 1000,
-        REQUEST_TIMEOUT: 30000
-    },
-    PAGINATION: {
-        DEFAULT_PAGE_SIZE: 50,
-        MAX_ITEMS: 5000
-    },
-    UI: {
-        AUTO_ADVANCE_DELAY: 500,
-        NOTIFICATION_DURATION: 3000
-    },
-    PROMPTS: {
-        TESTS: '/prompts/unit-test.prompt.md',
-        DOCUMENTATION: '/prompts/documentation.prompt.md',
-        TECHNICAL_DEBT: '/prompts/technical-debt-reduction.prompt.md'
-    }
-};
-
-/**
- * Input validation and sanitization utilities
+ * Markdown to HTML for previewing prompts as GitHub shows them in an issue.
+ * Covers headings, paragraphs, nested lists, task lists, code, quotes, tables, links and emphasis.
  */
-const ValidationUtils = {
-    /**
-     * Sanitize string input to prevent XSS
-     * @param {string} input - Input string to sanitize
-     * @returns {string} Sanitized string
-     */
-    sanitizeString(input) {
-        if (typeof input !== 'string') return '';
-        return input.replace(/[<>'"&]/g, '');
+const MarkdownUtils = {
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     },
 
     /**
-     * Validate GitHub organization name
-     * @param {string} orgName - Organization name to validate
-     * @returns {boolean} True if valid
+     * Render inline markdown in text that is already HTML-escaped
+     * @param {string} text - Escaped text
+     * @returns {string} HTML
      */
-    isValidOrgName(orgName) {
-        if (!orgName || typeof orgName !== 'string') return false;
-        const sanitized = this.sanitizeString(orgName.trim());
-        return /^[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]$|^[a-zA-Z0-9]$/.test(sanitized);
+    renderInline(text) {
+        // Code spans are set aside so emphasis inside them is left alone
+        const codeSpans = [];
+        const html = text
+            .replace(/`([^`]+)`/g, (match, code) => {
+                codeSpans.push(`<code>${code}</code>`);
+                return `\u0000${codeSpans.length - 1}\u0000`;
+            })
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+            .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?![*\w])/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_([^_\s][^_]*?)_(?![_\w])/g, '$1<em>$2</em>')
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
     },
 
     /**
-     * Validate GitHub token format (basic check)
-     * @param {string} token - Token to validate
-     * @returns {boolean} True if valid format
-     */
-    isValidToken(token) {
-        if (!token || typeof token !== 'string') return false;
-        const sanitized = token.trim();
-        // GitHub tokens should be alphanumeric with underscores, minimum length
-        return /^[a-zA-Z0-9_]{20,}$/.test(sanitized);
-    }
-};
-
-/**
- * Centralized API utilities with enhanced error handling and security
- */
-const APIUtils = {
-    /**
-     * Enhanced fetch with timeout, error handling, and security headers
-     * @param {string} url - API endpoint URL
-     * @param {Object} options - Fetch options
-     * @param {number} timeout - Request timeout in milliseconds
-     * @returns {Promise<Response>} Enhanced fetch response
+     * Render a markdown document
+     * @param {string} markdown - Markdown text
+     * @returns {string} HTML safe to insert into the page
      */
-    async secureFetch(url, options = {}, timeout = APP_CONFIG.API.REQUEST_TIMEOUT) {
-        // Add security headers and timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
-        
-        const secureOptions = {
-            ...options,
-            signal: controller.signal,
-            headers: {
-                'User-Agent': 'GitHub-Copilot-Agent-Quickstart/1.0',
-                'X-Requested-With': 'XMLHttpRequest',
-                ...options.headers
+    render(markdown) {
+        const lines = this.escapeHtml(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const output = [];
+        const lists = [];
+        let paragraph = [];
+        
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                output.push(`<p>${this.renderInline(paragraph.join(' '))}</p>`);
+                paragraph = [];
+            }
+        };
+        const closeList = () => {
+            const list = lists.pop();
+            const html = `<${list.type}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.type}>`;
+            if (lists.length > 0) {
+                const parent = lists[lists.length - 1];
+                parent.items[parent.items.length - 1] += html;
+            } else {
+                output.push(html);
             }
         };
+        const flushBlocks = () => {
+            flushParagraph();
+            while (lists.length > 0) closeList();
+        };
+        const splitRow = (row) => row.trim().replace(/^\||\|$/g, '').split('|').map(cell => this.renderInline(cell.trim()));
         
-        try {
-            const response = await fetch(url, secureOptions);
-            clearTimeout(timeoutId);
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
             
-            if (!response.ok) {
-                throw new APIError(`HTTP ${response.status}: ${response.statusText}`, response.status, url);
+            if (/^\s*```/.test(line)) {
+                flushBlocks();
+                const code = [];
+                for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) {
+                    code.push(lines[i]);
+                }
+                output.push(`<pre><code>${code.join('\n')}</code></pre>`);
+                continue;
             }
             
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new APIError('Request timeout', 408, url);
+            if (!line.trim()) {
+                flushBlocks();
+                continue;
+            }
+            
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            if (heading) {
+                flushBlocks();
+                output.push(`<h${heading[1].length}>${this.renderInline(heading[2])}</h${heading[1].length}>`);
+                continue;
+            }
+            
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushBlocks();
+                output.push('<hr>');
+                continue;
+            }
+            
+            const quote = line.match(/^\s*&gt;\s?(.*)$/);
+            if (quote) {
+                flushBlocks();
+                output.push(`<blockquote>${this.renderInline(quote[1])}</blockquote>`);
+                continue;
+            }
+            
+            if (line.trim().startsWith('|') && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1] || '')) {
+                flushBlocks();
+                const header = splitRow(line);
+                const rows = [];
+                for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+                    rows.push(splitRow(lines[i]));
+                }
+                i--;
+                output.push(`<table><thead><tr>${header.map(cell => `<th>${cell}</th>`).join('')}</tr></thead>` +
+                    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`);
+                continue;
+            }
+            
+            const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+            if (item) {
+                flushParagraph();
+                const indent = item[1].length;
+                const type = /\d/.test(item[2]) ? 'ol' : 'ul';
+                
+                while (lists.length > 0 && indent < lists[lists.length - 1].indent) closeList();
+                const current = lists[lists.length - 1];
+                if (!current || indent > current.indent) {
+                    lists.push({ type, indent, items: [] });
+                } else if (current.type !== type) {
+                    closeList();
+                    lists.push({ type, indent, items: [] });
+                }
+                
+                const task = item[3].match(/^\[([ xX])\]\s+(.*)$/);
+                lists[lists.length - 1].items.push(task 
+                    ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${this.renderInline(task[2])}` 
+                    : this.renderInline(item[3]));
+                continue;
+            }
+            
+            // Indented text continues the current list item
+            if (lists.length > 0 && /^\s+\S/.test(line)) {
+                const list = lists[lists.length - 1];
+                list.items[list.items.length - 1] += ` ${this.renderInline(line.trim())}`;
+                continue;
             }
-            throw error instanceof APIError ? error : new APIError(error.message, 0, url);
+            
+            while (lists.length > 0) closeList();
+            paragraph.push(line.trim());
         }
-    },
+        
+        flushBlocks();
+        return output.join('\n');
+    }
+};
+
+/**
+ * Line diff between two versions of a prompt
+ */
+const DiffUtils = {
+    // Above this many LCS cells the changed region is shown as a block replacement
+    MAX_CELLS: 4000000,
 
     /**
-     * GitHub API request with authentication and rate limiting
-     * @param {string} endpoint - API endpoint (relative to GitHub API base)
-     * @param {Object} options - Additional options
-     * @returns {Promise<Object>} JSON response
+     * Compare two texts line by line
+     * @param {string} original - Original text
+     * @param {string} current - Current text
+     * @returns {Array<Object>} Lines as { type: 'same' | 'added' | 'removed', text }
      */
-    async githubAPI(endpoint, options = {}) {
-        if (!appState.authToken) {
-            throw new APIError('Authentication token required', 401);
-        }
+    diffLines(original, current) {
+        const a = (original || '').replace(/\r\n?/g, '\n').split('\n');
+        const b = (current || '').replace(/\r\n?/g, '\n').split('\n');
         
-        const url = `${APP_CONFIG.API.GITHUB_BASE_URL}${endpoint}`;
-        const headers = SecurityUtils.createAuthHeaders(appState.authToken);
+        // Trim the common prefix and suffix so the LCS only covers the edited region
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
         
-        const response = await this.secureFetch(url, {
-            ...options,
-            headers: { ...headers, ...options.headers }
-        });
+        const same = (text) => ({ type: 'same', text });
+        const middleA = a.slice(start, endA);
+        const middleB = b.slice(start, endB);
         
-        return await response.json();
+        return [
+            ...a.slice(0, start).map(same),
+            ...this.diffRegion(middleA, middleB),
+            ...a.slice(endA).map(same)
+        ];
     },
 
-    /**
-     * GitHub GraphQL API request
-     * @param {string} query - GraphQL query
-     * @param {Object} variables - Query variables
-     * @returns {Promise<Object>} GraphQL response
-     */
-    async githubGraphQL(query, variables = {}) {
-        if (!appState.authToken) {
-            throw new APIError('Authentication token required', 401);
+    diffRegion(a, b) {
+        const removed = a.map(text => ({ type: 'removed', text }));
+        const added = b.map(text => ({ type: 'added', text }));
+        if (a.length === 0 || b.length === 0 || a.length * b.length > this.MAX_CELLS) {
+            return [...removed, ...added];
         }
         
-        const response = await this.secureFetch(APP_CONFIG.API.GITHUB_GRAPHQL_URL, {
-            method: 'POST',
-            headers: SecurityUtils.createAuthHeaders(appState.authToken),
-            body: JSON.stringify({ query, variables })
-        });
-        
-        const data = await response.json();
-        
-        if (data.errors) {
-            throw new APIError(`GraphQL Error: ${data.errors.map(e => e.message).join(', ')}`, 400);
+        // lengths[i * width + j] is the LCS length of a[i..] and b[j..]
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
         }
         
-        return data;
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                result.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                result.push(removed[i++]);
+            } else {
+                result.push(added[j++]);
+            }
+        }
+        return [...result, ...removed.slice(i), ...added.slice(j)];
     }
 };
 
 /**
- * Custom API Error class for better error handling
+ * Lists and loads *.prompt.md files from the local prompts/ folder and from GitHub repositories
  */
-class APIError extends Error {
-    constructor(message, status = 0, url = '') {
-        super(message);
-        this.name = 'APIError';
-        this.status = status;
-        this.url = url;
-    }
-}
+const PromptLibrary = {
+    entries: [],
+    contents: new Map(), // Raw file text by entry id
 
-/**
- * Enhanced logging utilities
- */
-const Logger = {
     /**
-     * Log error with context
-     * @param {string} message - Error message
-     * @param {Error} error - Error object
-     * @param {Object} context - Additional context
+     * List the prompts bundled with this app
+     * @returns {Promise<Array<Object>>} Entries as { id, source, name, path }
      */
-    error(message, error = null, context = {}) {
-        const logData = {
-            level: 'ERROR',
-            message,
-            timestamp: new Date().toISOString(),
-            context
-        };
+    async listLocal() {
+        const { LOCAL_INDEX, LOCAL_PATH, FILE_SUFFIX } = APP_CONFIG.PROMPT_LIBRARY;
+        const response = await fetch(new URL(LOCAL_INDEX, window.location.origin).href);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${LOCAL_INDEX}: ${response.status}`);
+        }
         
-        if (error) {
-            logData.error = {
-                name: error.name,
-                message: error.message,
-                stack: error.stack?.split('\n').slice(0, 5) // Limit stack trace
-            };
+        const index = await response.json();
+        return (index.prompts || [])
+            .filter(name => typeof name === 'string' && name.endsWith(FILE_SUFFIX) && !name.includes('/'))
+            .map(name => ({ id: `local:${name}`, source: 'local', name, path: `${LOCAL_PATH}${name}` }));
+    },
+
+    /**
+     * List the prompt files in a repository folder through the contents API
+     * @param {string} repo - owner/name
+     * @param {string} path - Folder path in the repository
+     * @param {string} ref - Optional branch, tag or commit
+     * @returns {Promise<Array<Object>>} Entries as { id, source, name, path, repo, ref }
+     */
+    async listRepository(repo, path, ref = '') {
+        const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+        const items = await APIUtils.githubAPI(`/repos/${repo}/contents/${this.encodePath(path)}${query}`);
+        if (!Array.isArray(items)) {
+            throw new Error(`${path || '/'} is not a folder in ${repo}`);
         }
         
-        console.error('[AGENT-QUICKSTART]', logData);
+        return items
+            .filter(item => item.type === 'file' && item.name.endsWith(APP_CONFIG.PROMPT_LIBRARY.FILE_SUFFIX))
+            // The ref is part of the id so content cached for another branch or tag is not reused
+            .map(item => ({ id: `${repo}@${ref}:${item.path}`, source: repo, name: item.name, path: item.path, repo, ref }));
     },
 
     /**
-     * Log warning with context
-     * @param {string} message - Warning message
-     * @param {Object} context - Additional context
+     * Get the raw text of a prompt file
+     * @param {Object} entry - Library entry
+     * @returns {Promise<string>} File text
      */
-    warn(message, context = {}) {
-        console.warn('[AGENT-QUICKSTART]', {
-            level: 'WARN',
-            message,
-            timestamp: new Date().toISOString(),
-            context
-        });
+    async getContent(entry) {
+        if (this.contents.has(entry.id)) {
+            return this.contents.get(entry.id);
+        }
+        
+        let text;
+        if (entry.source === 'local') {
+            const response = await fetch(new URL(entry.path, window.location.origin).href);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${entry.name}: ${response.status}`);
+            }
+            text = await response.text();
+        } else {
+            const query = entry.ref ? `?ref=${encodeURIComponent(entry.ref)}` : '';
+            const response = await APIUtils.githubRequest(`/repos/${entry.repo}/contents/${this.encodePath(entry.path)}${query}`, {
+                headers: { 'Accept': 'application/vnd.github.raw+json' }
+            });
+            text = await response.text();
+        }
+        
+        this.contents.set(entry.id, text);
+        return text;
     },
 
     /**
-     * Log info with context
-     * @param {string} message - Info message
-     * @param {Object} context - Additional context
+     * Read the front-matter description of each entry
+     * @param {Array<Object>} entries - Library entries, updated in place
+     * @param {Function} onProgress - Called after each entry
      */
-    info(message, context = {}) {
-        console.info('[AGENT-QUICKSTART]', {
-            level: 'INFO',
-            message,
-            timestamp: new Date().toISOString(),
-            context
-        });
+    async loadDescriptions(entries, onProgress = () => {}) {
+        await ExecutionScheduler.run(entries, async (entry) => {
+            try {
+                const { attributes } = YamlUtils.parseFrontMatter(await this.getContent(entry));
+                entry.description = typeof attributes.description === 'string' ? attributes.description : '';
+            } catch (error) {
+                Logger.warn('Could not read prompt description', { prompt: entry.id, error: error.message });
+                entry.description = '';
+            }
+        }, { onProgress });
+    },
+
+    encodePath(path) {
+        return path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
     }
 };
 
@@ -350,34 +450,6 @@ function showNotification(message, type = 'info') {
     NotificationSystem.show(message, type);
 }
 
-/**
- * Secure token handling utilities
- */
-const SecurityUtils = {
-    /**
-     * Mask token for display purposes
-     * @param {string} token - Token to mask
-     * @returns {string} Masked token
-     */
-    maskToken(token) {
-        if (!token || token.length < 8) return '***';
-        return token.substring(0, 4) + '***' + token.substring(token.length - 4);
-    },
-
-    /**
-     * Create authorization header
-     * @param {string} token - GitHub token
-     * @returns {Object} Headers object
-     */
-    createAuthHeaders(token) {
-        return {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'Content-Type': 'application/json'
-        };
-    }
-};
-
 /**
  * Global state management
  */
@@ -392,10 +464,27 @@ class AppState {
         this.authToken = '';
         this.selectionMethod = 'all';
         this.selectedRepos = [];
-        this.selectedProperties = []; // Array of {propertyName, value} objects
+        this.selectedProperties = []; // Filter conditions: {propertyName, operator, value, group}
+        this.propertyValues = null; // Cached /properties/values response for the live match count
+        this.repoFilters = getDefaultRepoFilters(); // Attribute filters for the "All repositories" mode
+        this.orgRepos = null; // Cached full repository list for the live match count
         this.allRepos = [];
         this.allProperties = [];
         this.promptContent = '';
+        this.dryRunResults = null;
+        this.eligibility = null; // Copilot eligibility preflight results for the current targets
+        this.excludedRepos = new Set(); // Repositories left out of the run after the preflight
+        this.lastRun = null; // Results of the most recent execution, kept for the session
+        this.tracking = null; // Issue and pull request status of the last run's issues
+        this.duplicatePolicy = APP_CONFIG.CAMPAIGN.DEFAULT_DUPLICATE_POLICY;
+        this.project = null; // Project (v2) created issues are added to, with the field values to set
+        this.repoDetails = new Map(); // Repository objects by name, used for prompt templates
+        this.tokenChecks = null; // Result of the token capability preflight in step 2
+        this.promptMetadata = {}; // Issue settings from the prompt front-matter
+        this.originalPromptContent = ''; // Prompt as loaded, for showing and resetting edits
+        
+        // API endpoints for github.com, a GHE.com tenant or GitHub Enterprise Server
+        Object.assign(this, APIUtils.resolveEndpoints('github.com'));
         
         // Pagination state using configuration
         this.reposPagination = {
@@ -403,7 +492,11 @@ class AppState {
             itemsPerPage: APP_CONFIG.PAGINATION.DEFAULT_PAGE_SIZE,
             totalPages: 1,
             filteredRepos: [],
-            searchTerm: ''
+            searchResults: [],
+            searchTerm: '',
+            sort: { key: 'updated', direction: 'desc' },
+            languageFilter: '',
+            visibilityFilter: ''
         };
         
         this.propertiesPagination = {
@@ -413,23 +506,6 @@ class AppState {
             filteredProperties: [],
             searchTerm: ''
         };
-        
-        // Use case prompts URLs from configuration
-        // Ensure we use the local prompt files from this app (origin-relative) and not an external BASE_URL
-        const toLocalUrl = (path) => {
-            try {
-                // Use the current page origin to construct an absolute URL pointing to local files
-                return new URL(path, window.location.origin).href;
-            } catch (e) {
-                // Fallback to the raw path if URL construction fails
-                return path;
-            }
-        };
-        this.promptUrls = {
-            'tests': toLocalUrl(APP_CONFIG.PROMPTS.TESTS),
-            'documentation': toLocalUrl(APP_CONFIG.PROMPTS.DOCUMENTATION),
-            'technical-debt': toLocalUrl(APP_CONFIG.PROMPTS.TECHNICAL_DEBT)
-        };
     }
     
     reset() {
@@ -440,9 +516,24 @@ class AppState {
         this.selectionMethod = 'all';
         this.selectedRepos = [];
         this.selectedProperties = [];
+        this.propertyValues = null;
+        this.repoFilters = getDefaultRepoFilters();
+        this.orgRepos = null;
         this.allRepos = [];
         this.allProperties = [];
         this.promptContent = '';
+        this.dryRunResults = null;
+        this.eligibility = null;
+        this.excludedRepos = new Set();
+        this.lastRun = null;
+        this.tracking = null;
+        this.duplicatePolicy = APP_CONFIG.CAMPAIGN.DEFAULT_DUPLICATE_POLICY;
+        this.project = null;
+        this.repoDetails = new Map();
+        this.tokenChecks = null;
+        this.promptMetadata = {};
+        this.originalPromptContent = '';
+        Object.assign(this, APIUtils.resolveEndpoints('github.com'));
         
         // Reset pagination state
         this.reposPagination = {
@@ -450,7 +541,11 @@ class AppState {
             itemsPerPage: 50,
             totalPages: 1,
             filteredRepos: [],
-            searchTerm: ''
+            searchResults: [],
+            searchTerm: '',
+            sort: { key: 'updated', direction: 'desc' },
+            languageFilter: '',
+            visibilityFilter: ''
         };
         
         this.propertiesPagination = {
@@ -467,11 +562,14 @@ class AppState {
     
     clearUIState() {
         // Clear use case selection
-        useCaseButtons.forEach(btn => btn.classList.remove('selected'));
+        document.querySelectorAll('.use-case-btn').forEach(btn => btn.classList.remove('selected'));
         
         // Clear form inputs
         if (orgNameInput) orgNameInput.value = '';
         if (authTokenInput) authTokenInput.value = '';
+        if (apiHostInput) apiHostInput.value = '';
+        const tokenChecklist = document.getElementById('token-checklist');
+        if (tokenChecklist) tokenChecklist.classList.add('hidden');
         if (orgDisplay) orgDisplay.textContent = '';
         if (promptContentTextarea) promptContentTextarea.value = '';
         if (selectedUseCaseDisplay) selectedUseCaseDisplay.textContent = '';
@@ -479,33 +577,41 @@ class AppState {
         // Clear checkboxes
         document.querySelectorAll('input[type="checkbox"]').forEach(cb => cb.checked = false);
         
-        // Reset dropdown
+        // Reset dropdowns
         if (selectionDropdown) selectionDropdown.value = 'all';
+        if (duplicatePolicySelect) duplicatePolicySelect.value = APP_CONFIG.CAMPAIGN.DEFAULT_DUPLICATE_POLICY;
+        clearProjectPicker();
     }
 }
 
 // Initialize app state
 const appState = new AppState();
 
+// Show progress from the shared campaign logic in the loading modal and as notifications
+CampaignHooks.progress = updateLoadingMessage;
+CampaignHooks.notify = showNotification;
+
 // DOM elements
 const progressSteps = document.querySelectorAll('.progress-step');
 const stepContents = document.querySelectorAll('.step-content');
-const useCaseButtons = document.querySelectorAll('.use-case-btn');
+const useCaseButtonsContainer = document.getElementById('use-case-buttons');
 const authNextBtn = document.getElementById('auth-next');
 const authBackBtn = document.getElementById('auth-back');
 const reposNextBtn = document.getElementById('repos-next');
 const reposBackBtn = document.getElementById('repos-back');
 const promptBackBtn = document.getElementById('prompt-back');
 const executeBtn = document.getElementById('execute-workflow');
+const dryRunBtn = document.getElementById('dry-run-workflow');
 const selectionDropdown = document.getElementById('selection-dropdown');
 const orgNameInput = document.getElementById('org-name');
 const authTokenInput = document.getElementById('auth-token');
+const apiHostInput = document.getElementById('api-host');
 const orgDisplay = document.getElementById('org-display');
 const promptContentTextarea = document.getElementById('prompt-content');
 const selectedUseCaseDisplay = document.getElementById('selected-use-case-display');
 const targetReposList = document.getElementById('target-repos-list');
+const duplicatePolicySelect = document.getElementById('duplicate-policy');
 const loadingModal = document.getElementById('loading-modal');
-const successModal = document.getElementById('success-modal');
 const loadingMessage = document.getElementById('loading-message');
 
 // Browser history management
@@ -515,10 +621,15 @@ let isNavigatingFromHistory = false;
 document.addEventListener('DOMContentLoaded', initializeApp);
 
 function initializeApp() {
-    // Use case selection
-    useCaseButtons.forEach(btn => {
-        btn.addEventListener('click', (e) => selectUseCase(e.target.closest('.use-case-btn')));
-    });
+    // Use case selection, rendered from the registry
+    UseCaseRegistry.init();
+    renderUseCaseButtons();
+    useCaseButtonsContainer.addEventListener('click', handleUseCaseClick);
+    
+    // Custom use cases
+    document.getElementById('use-case-form').addEventListener('submit', handleUseCaseFormSubmit);
+    document.getElementById('use-case-form-cancel').addEventListener('click', hideUseCaseForm);
+    document.getElementById('use-case-import').addEventListener('change', handleUseCaseImport);
     
     // Authentication next button
     authNextBtn.addEventListener('click', handleAuthNext);
@@ -534,6 +645,85 @@ function initializeApp() {
     // Execute workflow button
     executeBtn.addEventListener('click', executeWorkflow);
     
+    // Dry run preview and approval
+    dryRunBtn.addEventListener('click', previewWorkflow);
+    document.getElementById('dry-run-approve').addEventListener('click', executeWorkflow);
+    document.getElementById('dry-run-discard').addEventListener('click', clearDryRunPreview);
+    
+    // Copilot eligibility preflight
+    document.getElementById('eligibility-check').addEventListener('click', runEligibilityPreflight);
+    document.getElementById('eligibility-tbody').addEventListener('change', handleEligibilityToggle);
+    document.getElementById('eligibility-exclude-all').addEventListener('click', () => setIneligibleExcluded(true));
+    document.getElementById('eligibility-include-all').addEventListener('click', () => setIneligibleExcluded(false));
+    
+    // Last run retry actions
+    document.getElementById('retry-failed').addEventListener('click', retryFailedRepositories);
+    document.getElementById('retry-assignment').addEventListener('click', retryCopilotAssignment);
+    
+    // Pause, resume and cancel a running workflow
+    document.getElementById('run-pause').addEventListener('click', handleRunPause);
+    document.getElementById('run-resume').addEventListener('click', handleRunResume);
+    document.getElementById('run-cancel').addEventListener('click', handleRunCancel);
+    
+    // Results step
+    document.getElementById('results-filter').addEventListener('change', renderResults);
+    document.getElementById('export-results-csv').addEventListener('click', exportResultsCSV);
+    document.getElementById('export-results-json').addEventListener('click', exportResultsJSON);
+    document.getElementById('results-back').addEventListener('click', () => goToStep(4));
+    document.getElementById('results-import').addEventListener('change', handleResultsImport);
+    document.getElementById('rollback-run').addEventListener('click', rollbackCampaign);
+    document.querySelectorAll('.restart-btn').forEach(btn => btn.addEventListener('click', restartWorkflow));
+    
+    // Tracking step
+    document.getElementById('track-progress').addEventListener('click', () => {
+        if (validateStepAccess(6)) goToStep(6);
+    });
+    document.getElementById('tracking-back').addEventListener('click', () => goToStep(5));
+    document.getElementById('tracking-refresh').addEventListener('click', refreshTracking);
+    document.getElementById('tracking-filter').addEventListener('change', renderTracking);
+    document.getElementById('tracking-interval').addEventListener('change', scheduleTrackingRefresh);
+    document.getElementById('export-tracking-csv').addEventListener('click', exportTrackingCSV);
+    
+    // A preview is only valid for the prompt it was generated from
+    promptContentTextarea.addEventListener('input', clearDryRunPreview);
+    
+    // Prompt editor tabs
+    document.querySelectorAll('[data-prompt-tab]').forEach(tab => {
+        tab.addEventListener('click', () => showPromptTab(tab.dataset.promptTab));
+    });
+    document.getElementById('prompt-reset').addEventListener('click', resetPromptToOriginal);
+    promptContentTextarea.addEventListener('input', debouncedUpdatePromptChangeCount);
+    
+    // Prompt library
+    document.getElementById('prompt-library-browse').addEventListener('click', browsePromptLibrary);
+    document.getElementById('prompt-library-search').addEventListener('input', renderPromptLibrary);
+    
+    // Prompt template variables
+    promptContentTextarea.addEventListener('input', debouncedUpdateTemplateWarnings);
+    document.getElementById('template-preview-btn').addEventListener('click', previewTemplateForRepo);
+    
+    // Project (v2) picker
+    document.getElementById('project-load').addEventListener('click', loadProjects);
+    document.getElementById('project-select').addEventListener('change', handleProjectChange);
+    document.getElementById('project-status').addEventListener('change', updateProjectSelection);
+    document.getElementById('project-iteration').addEventListener('change', updateProjectSelection);
+    document.getElementById('project-campaign').addEventListener('input', updateProjectSelection);
+    
+    // Staged rollout
+    document.getElementById('rollout-canary-mode').addEventListener('change', (event) => {
+        const manual = event.target.value === 'manual';
+        document.getElementById('rollout-canary-size-group').classList.toggle('hidden', manual);
+        document.getElementById('rollout-canary-repos-group').classList.toggle('hidden', !manual);
+    });
+    document.getElementById('results-rollout').addEventListener('click', handleRolloutAction);
+    document.getElementById('tracking-rollout').addEventListener('click', handleRolloutAction);
+    
+    // Duplicate issue policy
+    duplicatePolicySelect.addEventListener('change', () => {
+        appState.duplicatePolicy = duplicatePolicySelect.value;
+        clearDryRunPreview();
+    });
+    
     // Selection method dropdown
     selectionDropdown.addEventListener('change', handleSelectionMethodChange);
     
@@ -541,7 +731,21 @@ function initializeApp() {
     document.getElementById('repo-search').addEventListener('input', debouncedFilterRepos);
     document.getElementById('properties-search').addEventListener('input', debouncedFilterProperties);
     
+    // Repository attribute filters for "All repositories"
+    const repoFilters = document.getElementById('repo-filters');
+    ['input', 'change'].forEach(type => repoFilters.addEventListener(type, handleRepoFilterChange));
+    
+    // Custom property filter builder
+    const propertyFilterGroups = document.getElementById('property-filter-groups');
+    ['input', 'change', 'click'].forEach(type => propertyFilterGroups.addEventListener(type, handlePropertyFilterEvent));
+    document.getElementById('property-filter-add-group').addEventListener('click', addPropertyFilterGroup);
+    
     // Pagination functionality
+    document.querySelectorAll('#repos-table th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => sortRepos(header.dataset.sort));
+    });
+    document.getElementById('repo-language-filter').addEventListener('change', handleRepoColumnFilterChange);
+    document.getElementById('repo-visibility-filter').addEventListener('change', handleRepoColumnFilterChange);
     document.getElementById('repos-prev-page').addEventListener('click', () => changeReposPage(-1));
     document.getElementById('repos-next-page').addEventListener('click', () => changeReposPage(1));
     document.getElementById('properties-prev-page').addEventListener('click', () => changePropertiesPage(-1));
@@ -550,6 +754,13 @@ function initializeApp() {
     // Input validation
     orgNameInput.addEventListener('input', validateInputs);
     authTokenInput.addEventListener('input', validateInputs);
+    apiHostInput.addEventListener('input', validateInputs);
+    
+    // Token checks are only valid for the credentials they were run with
+    [orgNameInput, authTokenInput, apiHostInput].forEach(input => {
+        input.addEventListener('input', clearTokenChecklist);
+    });
+    document.getElementById('auth-continue-anyway').addEventListener('click', completeAuthentication);
     
     // Progress step navigation
     progressSteps.forEach(step => {
@@ -605,7 +816,7 @@ function navigateToPreviousStep() {
 }
 
 function navigateToNextStep() {
-    if (appState.currentStep < 4) {
+    if (appState.currentStep < 6) {
         const nextStep = appState.currentStep + 1;
         if (validateStepAccess(nextStep)) {
             goToStep(nextStep);
@@ -620,7 +831,7 @@ function getStepFromHash() {
     const match = hash.match(/#step-(\d+)/);
     if (match) {
         const step = parseInt(match[1]);
-        return (step >= 1 && step <= 4) ? step : 1;
+        return (step >= 1 && step <= 6) ? step : 1;
     }
     return 1;
 }
@@ -672,6 +883,9 @@ function handleHashChange() {
 
 // Step navigation
 function goToStep(step) {
+    // Tracking only polls while it is on screen
+    if (step !== 6) stopTrackingRefresh();
+    
     // Update progress bar
     progressSteps.forEach((el, index) => {
         el.classList.remove('active', 'completed', 'clickable');
@@ -712,7 +926,7 @@ function restoreStepState(step) {
         case 1:
             // Restore use case selection
             if (appState.selectedUseCase) {
-                useCaseButtons.forEach(btn => {
+                document.querySelectorAll('.use-case-btn').forEach(btn => {
                     btn.classList.toggle('selected', btn.dataset.useCase === appState.selectedUseCase);
                 });
             }
@@ -722,6 +936,7 @@ function restoreStepState(step) {
             // Restore authentication form
             orgNameInput.value = appState.orgName || '';
             authTokenInput.value = appState.authToken || '';
+            apiHostInput.value = appState.apiHost === 'github.com' ? '' : appState.apiHost;
             validateInputs();
             break;
             
@@ -741,14 +956,30 @@ function restoreStepState(step) {
             if (appState.selectedUseCase) {
                 if (appState.promptContent) {
                     promptContentTextarea.value = appState.promptContent;
+                    renderPromptMetadata();
+                    updatePromptChangeCount();
                 } else {
                     // Load prompt if not already loaded
                     loadPromptForUseCase();
                 }
                 selectedUseCaseDisplay.textContent = getUseCaseDisplayName(appState.selectedUseCase);
+                duplicatePolicySelect.value = appState.duplicatePolicy;
                 updateTargetReposList();
+                updateTemplatePanel();
             }
             break;
+            
+        case 5:
+            // Restore the results of the last run
+            renderResults();
+            break;
+            
+        case 6:
+            // Show the last known status at once, then refresh it
+            renderTracking();
+            refreshTracking();
+            scheduleTrackingRefresh();
+            break;
     }
 }
 
@@ -770,7 +1001,7 @@ function restoreSelections() {
     // Restore selected properties
     if (appState.selectionMethod === 'properties' && appState.selectedProperties.length > 0) {
         setTimeout(() => {
-            updateSelectedPropertiesSummary();
+            renderPropertyFilter();
             // Update checkboxes for visible properties
             appState.selectedProperties.forEach(property => {
                 const checkbox = document.querySelector(`input[data-property-name="${property.propertyName}"]`);
@@ -815,6 +1046,16 @@ function canNavigateToStep(targetStep) {
         return appState.selectedUseCase && appState.orgName && appState.authToken && hasValidSelection;
     }
     
+    // For step 5, need a run to report on
+    if (targetStep === 5) {
+        return !!appState.lastRun;
+    }
+    
+    // For step 6, need issues to track
+    if (targetStep === 6) {
+        return getTrackedIssues().length > 0;
+    }
+    
     return false;
 }
 
@@ -832,6 +1073,12 @@ function validateStepAccess(targetStep) {
             case 4:
                 message = 'Please complete repository selection first.';
                 break;
+            case 5:
+                message = 'Please execute the workflow first.';
+                break;
+            case 6:
+                message = 'There are no issues to track yet. Please execute the workflow first.';
+                break;
         }
         
         // Show a brief notification instead of an alert
@@ -841,9 +1088,124 @@ function validateStepAccess(targetStep) {
     return true;
 }
 
+/**
+ * Render the step 1 buttons from the use case registry
+ */
+function renderUseCaseButtons() {
+    useCaseButtonsContainer.innerHTML = '';
+    
+    UseCaseRegistry.getAll().forEach(useCase => {
+        const button = document.createElement('button');
+        button.className = 'use-case-btn';
+        button.dataset.useCase = useCase.id;
+        button.classList.toggle('selected', useCase.id === appState.selectedUseCase);
+        button.innerHTML = `
+            <div class="use-case-icon">${useCase.icon}</div>
+            <h3>${useCase.name}</h3>
+            <p>${useCase.description}</p>
+            ${useCase.builtIn ? '' : `<span class="use-case-remove" data-remove-use-case="${useCase.id}" title="Remove use case">×</span>`}
+        `;
+        useCaseButtonsContainer.appendChild(button);
+    });
+    
+    const addButton = document.createElement('button');
+    addButton.className = 'use-case-btn use-case-add';
+    addButton.id = 'use-case-add';
+    addButton.innerHTML = `
+        <div class="use-case-icon">➕</div>
+        <h3>Add Use Case</h3>
+        <p>Define your own prompt, labels and issue title</p>
+    `;
+    useCaseButtonsContainer.appendChild(addButton);
+}
+
+function handleUseCaseClick(event) {
+    const removeTarget = event.target.closest('[data-remove-use-case]');
+    if (removeTarget) {
+        event.stopPropagation();
+        removeUseCase(removeTarget.dataset.removeUseCase);
+        return;
+    }
+    
+    const button = event.target.closest('.use-case-btn');
+    if (!button) return;
+    
+    if (button.id === 'use-case-add') {
+        showUseCaseForm();
+    } else {
+        selectUseCase(button);
+    }
+}
+
+function showUseCaseForm() {
+    document.getElementById('use-case-form').reset();
+    document.getElementById('use-case-editor').classList.remove('hidden');
+    document.getElementById('use-case-name').focus();
+}
+
+function hideUseCaseForm() {
+    document.getElementById('use-case-editor').classList.add('hidden');
+}
+
+function handleUseCaseFormSubmit(event) {
+    event.preventDefault();
+    
+    const value = (id) => document.getElementById(id).value;
+    try {
+        const useCase = UseCaseRegistry.register({
+            name: value('use-case-name'),
+            icon: value('use-case-icon'),
+            description: value('use-case-description'),
+            promptUrl: value('use-case-prompt-url'),
+            prompt: value('use-case-prompt'),
+            labels: value('use-case-labels'),
+            issueTitle: value('use-case-issue-title')
+        });
+        
+        hideUseCaseForm();
+        renderUseCaseButtons();
+        showNotification(`Use case "${useCase.name}" added.`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function handleUseCaseImport(event) {
+    const input = event.target;
+    const file = input.files[0];
+    if (!file) return;
+    
+    try {
+        const { imported, errors } = UseCaseRegistry.importJSON(await file.text());
+        renderUseCaseButtons();
+        
+        if (errors.length > 0) {
+            Logger.warn('Some use cases were not imported', { errors });
+            showNotification(`Imported ${imported.length} use case(s). Skipped ${errors.length}: ${errors.join('; ')}`, 'warning');
+        } else {
+            showNotification(`Imported ${imported.length} use case(s).`, 'success');
+        }
+    } catch (error) {
+        showNotification(`Could not import use cases: ${error.message}`, 'error');
+    } finally {
+        // Allow the same file to be imported again after editing it
+        input.value = '';
+    }
+}
+
+function removeUseCase(id) {
+    if (!UseCaseRegistry.remove(id)) return;
+    
+    if (appState.selectedUseCase === id) {
+        appState.selectedUseCase = null;
+    }
+    renderUseCaseButtons();
+    updateStepAccessibility();
+}
+
 // Use case selection
 function selectUseCase(button) {
-    useCaseButtons.forEach(btn => btn.classList.remove('selected'));
+    document.querySelectorAll('.use-case-btn').forEach(btn => btn.classList.remove('selected'));
     button.classList.add('selected');
     
     appState.selectedUseCase = button.dataset.useCase;
@@ -870,18 +1232,24 @@ function validateInputs() {
     // Validate inputs
     const isValidOrg = ValidationUtils.isValidOrgName(orgName);
     const isValidToken = ValidationUtils.isValidToken(authToken);
+    const apiHost = ValidationUtils.normalizeHost(apiHostInput.value);
+    const isValidHost = apiHost !== null;
     
     // Update app state only with valid inputs
     appState.orgName = isValidOrg ? orgName : '';
     appState.authToken = isValidToken ? authToken : '';
+    if (isValidHost) {
+        Object.assign(appState, APIUtils.resolveEndpoints(apiHost));
+    }
     
     // Show validation feedback
     showInputValidationFeedback('org-name', isValidOrg, 'Invalid organization name format');
     showInputValidationFeedback('auth-token', isValidToken, 'Invalid token format');
+    showInputValidationFeedback('api-host', isValidHost, 'Invalid host, use a hostname such as octocorp.ghe.com');
     
     // Enable/disable the next button
     if (authNextBtn) {
-        authNextBtn.disabled = !isValidOrg || !isValidToken;
+        authNextBtn.disabled = !isValidOrg || !isValidToken || !isValidHost;
     }
     
     // Update progress step accessibility
@@ -937,121 +1305,493 @@ function updateStepAccessibility() {
 /**
  * Enhanced authentication validation with user feedback
  */
-function handleAuthNext() {
+async function handleAuthNext() {
     if (!ValidationUtils.isValidOrgName(appState.orgName) || !ValidationUtils.isValidToken(appState.authToken)) {
         showNotification('Please provide valid organization name and authentication token.', 'error');
         return;
     }
     
-    // Update org display with sanitized value
-    orgDisplay.textContent = SecurityUtils.maskToken(appState.orgName);
-    
-    Logger.info('Authentication completed', { org: appState.orgName });
-    goToStep(3);
-}
-
-// Repository selection
-function handleSelectionMethodChange() {
-    appState.selectionMethod = selectionDropdown.value;
-    
-    // Hide all selection content
-    document.querySelectorAll('.selection-content').forEach(el => {
-        el.classList.add('hidden');
-    });
-    
-    // Show appropriate content
-    switch (appState.selectionMethod) {
-        case 'all':
-            document.getElementById('all-repos-message').classList.remove('hidden');
-            break;
-        case 'selected':
-            document.getElementById('selected-repos-content').classList.remove('hidden');
-            loadRepositories();
-            break;
-        case 'properties':
-            document.getElementById('custom-properties-content').classList.remove('hidden');
-            loadCustomProperties();
-            break;
-    }
-}
-
-/**
- * Enhanced repository loading with pagination and error handling
- */
-async function loadRepositories() {
+    // Make sure the API host is reachable before any other call is routed to it
     try {
-        showLoading('Loading repositories...');
-        Logger.info('Starting repository loading', { org: appState.orgName });
-        
-        const allRepos = await loadAllRepositories();
-        
-        appState.allRepos = allRepos.slice(0, APP_CONFIG.PAGINATION.MAX_ITEMS);
-        appState.reposPagination.filteredRepos = appState.allRepos;
-        appState.reposPagination.currentPage = 1;
-        appState.reposPagination.totalPages = Math.ceil(
-            appState.allRepos.length / appState.reposPagination.itemsPerPage
-        );
-        
-        renderRepositories();
-        updateSelectedReposSummary();
-        
-        Logger.info('Repository loading completed', { 
-            count: appState.allRepos.length,
-            org: appState.orgName
-        });
+        showLoading(`Connecting to ${appState.apiHost}...`);
+        await APIUtils.verifyEndpoint();
         
+        updateLoadingMessage('Checking token permissions...');
+        appState.tokenChecks = await checkTokenCapabilities();
     } catch (error) {
-        Logger.error('Error loading repositories', error, { org: appState.orgName });
-        alert(`Error loading repositories: ${error.message}`);
+        Logger.error('API host validation failed', error, { host: appState.apiHost });
+        const reason = error.status === 401 
+            ? 'the token was rejected' 
+            : `no GitHub API answered at ${appState.apiBaseUrl}`;
+        showNotification(`Could not connect to ${appState.apiHost}: ${reason}.`, 'error');
+        return;
     } finally {
         hideLoading();
     }
+    
+    renderTokenChecklist(appState.tokenChecks);
+    
+    const failed = appState.tokenChecks.filter(check => check.status === 'fail');
+    if (failed.some(check => check.blocking)) {
+        showNotification('The token cannot access this organization. See the checklist for details.', 'error');
+        return;
+    }
+    if (failed.length > 0) {
+        showNotification(`The token is missing ${failed.length} capability(ies). Fix them or continue anyway.`, 'warning');
+        return;
+    }
+
+    const warnings = appState.tokenChecks.filter(check => check.status === 'warn');
+    if (warnings.length > 0) {
+        showNotification(`Token check passed with warnings: ${warnings.map(check => check.label).join(', ')}.`, 'warning');
+    }
+
+    completeAuthentication();
 }
 
 /**
- * Load all repositories with pagination support
- * @returns {Promise<Array>} Array of repository objects
+ * Whether the last run belongs to the organization and host currently signed in to
+ * @returns {boolean} True when the run's issues can be reached with the current token
  */
-async function loadAllRepositories() {
-    const allRepos = [];
-    const perPage = 100; // GitHub's max per page
-    let page = 1;
+function isLastRunSignedIn() {
+    const { org, host } = appState.lastRun;
+    return org.toLowerCase() === appState.orgName.toLowerCase() && host === appState.apiHost;
+}
+
+/**
+ * Move on to repository selection once the token has been checked
+ */
+function completeAuthentication() {
+    // Cached organization data may belong to a different organization or host
+    appState.propertyValues = null;
+    appState.orgRepos = null;
+    if (appState.lastRun && !isLastRunSignedIn()) {
+        // The last run's issues cannot be retried, tracked or rolled back from another organization
+        appState.lastRun = null;
+        appState.tracking = null;
+        stopTrackingRefresh();
+    }
+    CopilotActor.reset();
+    CampaignLabels.reset();
+    clearProjectPicker();
+    
+    // Update org display with sanitized value
+    orgDisplay.textContent = SecurityUtils.maskToken(appState.orgName);
+    
+    Logger.info('Authentication completed', { org: appState.orgName, host: appState.apiHost });
+    goToStep(3);
+}
+
+/**
+ * Check what the token can do in the organization.
+ * Classic tokens report their scopes in X-OAuth-Scopes; other tokens are probed endpoint by endpoint.
+ * @returns {Promise<Array<Object>>} Checks as { id, label, status: pass|warn|fail, detail, guidance, blocking }
+ */
+async function checkTokenCapabilities() {
+    const org = appState.orgName;
+    const tokenType = SecurityUtils.getTokenType(appState.authToken);
+    const checks = [];
+    const addCheck = (id, label, status, detail, guidance = '', blocking = false) => {
+        checks.push({ id, label, status, detail, guidance: status === 'pass' ? '' : guidance, blocking });
+    };
     
-    while (allRepos.length < APP_CONFIG.PAGINATION.MAX_ITEMS) {
+    // Organization access, which also tells us the classic token scopes
+    let scopes = null;
+    try {
+        const response = await APIUtils.githubRequest(`/orgs/${org}`);
+        const scopeHeader = response.headers.get('X-OAuth-Scopes');
+        if (scopeHeader !== null) {
+            scopes = scopeHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+        }
+        addCheck('org', 'Organization access', 'pass', `Token can read ${org}`);
+    } catch (error) {
+        addCheck('org', 'Organization access', 'fail', 
+            error.status === 404 ? `Organization ${org} was not found` : `HTTP ${error.status}`,
+            'Check the organization name. Fine-grained tokens must use the organization as resource owner, and organizations with SAML SSO require the token to be authorized for SSO.',
+            true);
+        return checks;
+    }
+    
+    // Repository listing, which also gives us a repository to probe
+    let sampleRepo = null;
+    try {
+        const repos = await APIUtils.githubAPI(`/orgs/${org}/repos?per_page=1`);
+        sampleRepo = repos[0] || null;
+        if (sampleRepo) {
+            addCheck('repos', 'Repository listing', 'pass', 'Token can list repositories');
+        } else {
+            addCheck('repos', 'Repository listing', 'warn', 'No repositories are visible to this token',
+                'Classic tokens need the repo scope. Fine-grained tokens need access to the repositories and Metadata read permission.');
+        }
+    } catch (error) {
+        addCheck('repos', 'Repository listing', 'fail', `HTTP ${error.status}`,
+            'Classic tokens need the repo scope. Fine-grained tokens need access to the repositories and Metadata read permission.');
+    }
+    
+    // Issue write
+    const issueGuidance = 'Classic tokens need the repo scope (public_repo only covers public repositories). Fine-grained tokens need Issues read and write permission.';
+    if (scopes) {
+        if (scopes.includes('repo')) {
+            addCheck('issues', 'Issue write', 'pass', 'repo scope granted');
+        } else if (scopes.includes('public_repo')) {
+            addCheck('issues', 'Issue write', 'warn', 'Only public_repo scope granted; private repositories will fail', issueGuidance);
+        } else {
+            addCheck('issues', 'Issue write', 'fail', `Scopes: ${scopes.join(', ') || 'none'}`, issueGuidance);
+        }
+    } else if (sampleRepo) {
+        // Read-only: the repository reports the user's role, so the preflight never writes anything
         try {
-            const repos = await APIUtils.githubAPI(
-                `/orgs/${appState.orgName}/repos?per_page=${perPage}&page=${page}&sort=updated`
-            );
-            
-            if (repos.length === 0) {
-                break; // No more repos
-            }
-            
-            allRepos.push(...repos);
-            page++;
-            
-            // Update loading message
-            updateLoadingMessage(`Loading repositories... (${allRepos.length} loaded)`);
-            
-            // Break if we got less than a full page
-            if (repos.length < perPage) {
-                break;
+            const repo = await APIUtils.githubAPI(`/repos/${org}/${sampleRepo.name}`);
+            const permissions = repo.permissions || {};
+            if (!repo.has_issues) {
+                addCheck('issues', 'Issue write', 'warn', `Issues are disabled in ${sampleRepo.name}, so write access could not be confirmed`, issueGuidance);
+            } else if (permissions.push || permissions.triage) {
+                // The role is the user's, not the token's: a fine-grained token may still only read issues
+                addCheck('issues', 'Issue write', 'warn',
+                    `Your role can manage issues in ${sampleRepo.name}, but the token's Issues permission cannot be read without writing. It is confirmed when the first issue is created`,
+                    issueGuidance);
+            } else {
+                addCheck('issues', 'Issue write', 'warn', `Your role in ${sampleRepo.name} cannot set labels or assignees on issues`, issueGuidance);
             }
-            
-            // Small delay to prevent rate limiting
-            if (allRepos.length < APP_CONFIG.PAGINATION.MAX_ITEMS) {
-                await new Promise(resolve => 
-                    setTimeout(resolve, APP_CONFIG.API.RATE_LIMIT_DELAY / 2)
-                );
+        } catch (error) {
+            addCheck('issues', 'Issue write', 'fail', `HTTP ${error.status} reading ${sampleRepo.name}`, issueGuidance);
+        }
+    } else {
+        addCheck('issues', 'Issue write', 'warn', 'No repository available to check', issueGuidance);
+    }
+    
+    // Custom property read, only needed when selecting repositories by property
+    const propertyGuidance = 'Only needed to select repositories by custom properties. Classic tokens need the read:org scope. Fine-grained tokens need Organization custom properties read permission.';
+    try {
+        await APIUtils.githubAPI(`/orgs/${org}/properties/schema`);
+        addCheck('properties', 'Custom property read', 'pass', 'Token can read custom properties');
+    } catch (error) {
+        addCheck('properties', 'Custom property read', 'warn', `HTTP ${error.status}`, propertyGuidance);
+    }
+    
+    // Copilot assignability
+    const copilotGuidance = 'Enable Copilot coding agent for the organization and allow it in the repositories. The token user needs a Copilot plan that includes the coding agent.';
+    if (sampleRepo) {
+        try {
+            const copilot = await findCopilotBot(sampleRepo.name);
+            if (copilot) {
+                addCheck('copilot', 'Copilot assignability', 'pass', `Copilot can be assigned in ${sampleRepo.name}`);
+            } else {
+                addCheck('copilot', 'Copilot assignability', 'fail', `Copilot coding agent is not available in ${sampleRepo.name}`, copilotGuidance);
             }
-            
         } catch (error) {
-            Logger.warn('Failed to load repository page', { page, error: error.message });
-            break; // Stop loading on error
+            addCheck('copilot', 'Copilot assignability', 'warn', `Could not check: ${error.message}`, copilotGuidance);
+        }
+    } else {
+        addCheck('copilot', 'Copilot assignability', 'warn', 'No repository available to check', copilotGuidance);
+    }
+    
+    Logger.info('Token capability check completed', { 
+        org, 
+        tokenType,
+        results: checks.map(check => `${check.id}:${check.status}`).join(', ')
+    });
+    return checks;
+}
+
+/**
+ * Show the token capability checklist in step 2
+ * @param {Array<Object>} checks - Result of checkTokenCapabilities
+ */
+function renderTokenChecklist(checks) {
+    const container = document.getElementById('token-checklist');
+    const list = document.getElementById('token-checklist-items');
+    const continueBtn = document.getElementById('auth-continue-anyway');
+    const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+    
+    list.innerHTML = '';
+    checks.forEach(check => {
+        const li = document.createElement('li');
+        li.className = `token-check token-check-${check.status}`;
+        li.innerHTML = `
+            <span class="token-check-icon">${icons[check.status]}</span>
+            <div>
+                <strong>${check.label}</strong>
+                <span class="token-check-detail">${ValidationUtils.sanitizeString(check.detail)}</span>
+                ${check.guidance ? `<p class="token-check-guidance">${check.guidance}</p>` : ''}
+            </div>
+        `;
+        list.appendChild(li);
+    });
+    
+    const hasProblems = checks.some(check => check.status !== 'pass');
+    const isBlocked = checks.some(check => check.status === 'fail' && check.blocking);
+    container.classList.toggle('hidden', !hasProblems);
+    continueBtn.classList.toggle('hidden', !hasProblems || isBlocked);
+}
+
+function clearTokenChecklist() {
+    appState.tokenChecks = null;
+    document.getElementById('token-checklist').classList.add('hidden');
+}
+
+// Repository selection
+function handleSelectionMethodChange() {
+    appState.selectionMethod = selectionDropdown.value;
+    
+    // Hide all selection content
+    document.querySelectorAll('.selection-content').forEach(el => {
+        el.classList.add('hidden');
+    });
+    
+    // Show appropriate content
+    switch (appState.selectionMethod) {
+        case 'all':
+            document.getElementById('all-repos-message').classList.remove('hidden');
+            renderRepoFilters();
+            updateRepoFilterCount();
+            break;
+        case 'selected':
+            document.getElementById('selected-repos-content').classList.remove('hidden');
+            loadRepositories();
+            break;
+        case 'properties':
+            document.getElementById('custom-properties-content').classList.remove('hidden');
+            loadCustomProperties();
+            break;
+    }
+}
+
+/**
+ * Show the stored filters in the "All repositories" controls
+ */
+function renderRepoFilters() {
+    const filters = appState.repoFilters;
+    document.getElementById('filter-exclude-archived').checked = filters.excludeArchived;
+    document.getElementById('filter-exclude-forks').checked = filters.excludeForksAndTemplates;
+    document.querySelectorAll('[data-visibility]').forEach(checkbox => {
+        checkbox.checked = filters.visibility.includes(checkbox.dataset.visibility);
+    });
+    document.getElementById('filter-languages').value = filters.languages;
+    document.getElementById('filter-topics').value = filters.topics;
+    document.getElementById('filter-pushed-days').value = filters.pushedWithinDays;
+}
+
+function handleRepoFilterChange() {
+    appState.repoFilters = {
+        excludeArchived: document.getElementById('filter-exclude-archived').checked,
+        excludeForksAndTemplates: document.getElementById('filter-exclude-forks').checked,
+        visibility: [...document.querySelectorAll('[data-visibility]:checked')].map(checkbox => checkbox.dataset.visibility),
+        languages: ValidationUtils.sanitizeString(document.getElementById('filter-languages').value),
+        topics: ValidationUtils.sanitizeString(document.getElementById('filter-topics').value),
+        pushedWithinDays: document.getElementById('filter-pushed-days').value
+    };
+    debouncedUpdateRepoFilterCount();
+}
+
+/**
+ * Fetch the full organization repository list once for the live count
+ * @returns {Promise<Array<Object>>} Repository objects
+ */
+async function loadOrgRepos() {
+    if (appState.orgRepos) {
+        return appState.orgRepos;
+    }
+    
+    const org = appState.orgName;
+    if (!orgReposRequest || orgReposRequest.org !== org) {
+        const request = {
+            org,
+            promise: APIUtils.githubPaginate(`/orgs/${org}/repos`)
+                .finally(() => {
+                    // A request for another organization may have replaced this one meanwhile
+                    if (orgReposRequest === request) orgReposRequest = null;
+                })
+        };
+        orgReposRequest = request;
+    }
+    
+    const { org: requestOrg, promise } = orgReposRequest;
+    const repos = await promise;
+    if (requestOrg !== appState.orgName) {
+        // Signed in to another organization while loading: these repositories belong to the old one
+        return loadOrgRepos();
+    }
+    appState.orgRepos = repos;
+    return repos;
+}
+
+let orgReposRequest = null; // { org, promise } of the request in flight
+
+/**
+ * Show how many repositories pass the filters and offer the languages in use
+ */
+async function updateRepoFilterCount() {
+    const countElement = document.getElementById('repo-filter-count');
+    
+    try {
+        if (!appState.orgRepos) {
+            countElement.textContent = 'Counting repositories...';
+            countElement.className = 'filter-count';
         }
+        const repos = await loadOrgRepos();
+        const matches = applyRepoFilters(repos, appState.repoFilters).length;
+        countElement.textContent = `${matches} of ${repos.length} repositories match`;
+        countElement.className = 'filter-count';
+        
+        const languages = [...new Set(repos.map(repo => repo.language).filter(Boolean))].sort();
+        document.getElementById('filter-language-options').innerHTML = 
+            languages.map(language => `<option value="${ValidationUtils.sanitizeString(language)}">`).join('');
+    } catch (error) {
+        Logger.warn('Could not load repositories for the match count', { error: error.message });
+        countElement.textContent = 'Match count unavailable';
+        countElement.className = 'filter-count filter-count-error';
+    }
+}
+
+const debouncedUpdateRepoFilterCount = PerformanceUtils.debounce(updateRepoFilterCount, 300);
+
+/**
+ * Enhanced repository loading with pagination and error handling
+ */
+async function loadRepositories() {
+    try {
+        showLoading('Loading repositories...');
+        Logger.info('Starting repository loading', { org: appState.orgName });
+        
+        const allRepos = await loadAllRepositories();
+        
+        appState.allRepos = allRepos.slice(0, APP_CONFIG.PAGINATION.MAX_ITEMS);
+        appState.reposPagination.searchResults = appState.allRepos;
+        updateRepoColumnFilterOptions();
+        applyRepoTableView();
+        updateSelectedReposSummary();
+        
+        Logger.info('Repository loading completed', { 
+            count: appState.allRepos.length,
+            org: appState.orgName
+        });
+        
+    } catch (error) {
+        Logger.error('Error loading repositories', error, { org: appState.orgName });
+        alert(`Error loading repositories: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Load all repositories with pagination support
+ * @returns {Promise<Array>} Array of repository objects
+ */
+async function loadAllRepositories() {
+    return APIUtils.githubPaginate(`/orgs/${appState.orgName}/repos?per_page=100&sort=updated`, {
+        maxItems: APP_CONFIG.PAGINATION.MAX_ITEMS,
+        onPage: (count) => updateLoadingMessage(`Loading repositories... (${count} loaded)`)
+    });
+}
+
+/**
+ * Sort keys for the repository table, mapped to the value compared for each repository
+ */
+const REPO_SORT_ACCESSORS = {
+    name: repo => repo.name.toLowerCase(),
+    language: repo => (repo.language || '').toLowerCase(),
+    updated: repo => Date.parse(repo.updated_at) || 0,
+    pushed: repo => Date.parse(repo.pushed_at) || 0,
+    stars: repo => repo.stargazers_count || 0,
+    issues: repo => repo.open_issues_count || 0,
+    visibility: repo => repo.visibility || (repo.private ? 'private' : 'public'),
+    flags: repo => (repo.archived ? 4 : 0) + (repo.fork ? 2 : 0) + (repo.is_template ? 1 : 0)
+};
+
+/**
+ * Compare two repositories by the current table sort, falling back to the name so the order is stable
+ * @param {Object} a - Repository
+ * @param {Object} b - Repository
+ * @returns {number} Comparison result
+ */
+function compareRepos(a, b) {
+    const { key, direction } = appState.reposPagination.sort;
+    const accessor = REPO_SORT_ACCESSORS[key] || REPO_SORT_ACCESSORS.name;
+    const valueA = accessor(a);
+    const valueB = accessor(b);
+    const result = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    if (result !== 0) {
+        return direction === 'asc' ? result : -result;
+    }
+    return a.name.localeCompare(b.name);
+}
+
+/**
+ * Apply the column filters and sort to the search results and show the first page.
+ * Selections are kept by repository name, so they survive sorting, filtering and paging.
+ */
+function applyRepoTableView() {
+    const { searchResults, languageFilter, visibilityFilter, itemsPerPage } = appState.reposPagination;
+    
+    appState.reposPagination.filteredRepos = searchResults
+        .filter(repo => !languageFilter || (repo.language || '') === languageFilter)
+        .filter(repo => !visibilityFilter || REPO_SORT_ACCESSORS.visibility(repo) === visibilityFilter)
+        .sort(compareRepos);
+    
+    appState.reposPagination.currentPage = 1;
+    appState.reposPagination.totalPages = Math.max(1, Math.ceil(
+        appState.reposPagination.filteredRepos.length / itemsPerPage
+    ));
+    
+    renderRepositories();
+}
+
+/**
+ * Sort the repository table by a column, toggling the direction when it is already sorted by it
+ * @param {string} key - Sort key from REPO_SORT_ACCESSORS
+ */
+function sortRepos(key) {
+    const sort = appState.reposPagination.sort;
+    if (sort.key === key) {
+        sort.direction = sort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        // Text columns read best A to Z, numbers and dates largest first
+        sort.key = key;
+        sort.direction = ['name', 'language', 'visibility'].includes(key) ? 'asc' : 'desc';
     }
+    applyRepoTableView();
+}
+
+/**
+ * Read the language and visibility column filters and refresh the table
+ */
+function handleRepoColumnFilterChange() {
+    appState.reposPagination.languageFilter = document.getElementById('repo-language-filter').value;
+    appState.reposPagination.visibilityFilter = document.getElementById('repo-visibility-filter').value;
+    applyRepoTableView();
+}
+
+/**
+ * Fill the language column filter with the languages of the loaded repositories
+ */
+function updateRepoColumnFilterOptions() {
+    const select = document.getElementById('repo-language-filter');
+    const current = appState.reposPagination.languageFilter;
+    const languages = [...new Set(appState.allRepos.map(repo => repo.language).filter(Boolean))].sort();
     
-    return allRepos;
+    select.innerHTML = '<option value="">All languages</option>' + languages.map(language => {
+        const value = MarkdownUtils.escapeHtml(language);
+        return `<option value="${value}" ${language === current ? 'selected' : ''}>${value}</option>`;
+    }).join('');
+    
+    if (current && !languages.includes(current)) {
+        appState.reposPagination.languageFilter = '';
+    }
+}
+
+/**
+ * Show the sort direction on the repository table headers
+ */
+function updateRepoSortIndicators() {
+    const { key, direction } = appState.reposPagination.sort;
+    document.querySelectorAll('#repos-table th[data-sort]').forEach(header => {
+        const active = header.dataset.sort === key;
+        header.classList.toggle('sorted', active);
+        header.setAttribute('aria-sort', active ? (direction === 'asc' ? 'ascending' : 'descending') : 'none');
+        header.dataset.direction = active ? direction : '';
+    });
 }
 
 function renderRepositories() {
@@ -1066,6 +1806,12 @@ function renderRepositories() {
     reposToShow.forEach(repo => {
         const row = document.createElement('tr');
         const isSelected = appState.selectedRepos.includes(repo.name);
+        const flags = [
+            repo.archived ? '<span class="repo-flag repo-flag-archived">Archived</span>' : '',
+            repo.fork ? '<span class="repo-flag">Fork</span>' : '',
+            repo.is_template ? '<span class="repo-flag">Template</span>' : ''
+        ].join('');
+        const visibility = REPO_SORT_ACCESSORS.visibility(repo);
         row.innerHTML = `
             <td>
                 <input type="checkbox" data-repo-name="${repo.name}" onchange="toggleRepoSelection('${repo.name}')" ${isSelected ? 'checked' : ''}>
@@ -1073,15 +1819,21 @@ function renderRepositories() {
             <td>
                 <a href="${repo.html_url}" target="_blank" class="repo-name">${repo.name}</a>
             </td>
-            <td>${repo.description || 'No description'}</td>
+            <td>${repo.description ? MarkdownUtils.escapeHtml(repo.description) : 'No description'}</td>
             <td>
-                ${repo.language ? `<span class="language-badge">${repo.language}</span>` : 'N/A'}
+                ${repo.language ? `<span class="language-badge">${MarkdownUtils.escapeHtml(repo.language)}</span>` : 'N/A'}
             </td>
+            <td>${repo.pushed_at ? new Date(repo.pushed_at).toLocaleDateString() : 'Never'}</td>
             <td>${new Date(repo.updated_at).toLocaleDateString()}</td>
+            <td class="numeric-cell">${(repo.stargazers_count || 0).toLocaleString()}</td>
+            <td class="numeric-cell">${(repo.open_issues_count || 0).toLocaleString()}</td>
+            <td><span class="visibility-badge visibility-${visibility}">${visibility}</span></td>
+            <td>${flags || '<span class="muted-text">—</span>'}</td>
         `;
         tbody.appendChild(row);
     });
     
+    updateRepoSortIndicators();
     updateReposPaginationControls();
 }
 
@@ -1182,7 +1934,7 @@ async function loadCustomProperties() {
         );
         
         renderCustomProperties();
-        updateSelectedPropertiesSummary();
+        renderPropertyFilter();
         
     } catch (error) {
         Logger.error('Error in loadCustomProperties', error, { org: appState.orgName });
@@ -1237,35 +1989,15 @@ function renderCustomProperties() {
     
     propertiesToShow.forEach(property => {
         const row = document.createElement('tr');
-        const selectedProperty = appState.selectedProperties.find(sp => sp.propertyName === property.property_name);
-        const isSelected = !!selectedProperty;
-        const currentValue = selectedProperty ? selectedProperty.value : '';
-        
-        // Create value input based on property type
-        let valueInput = '';
-        if (property.value_type === 'single_select') {
-            // For single_select, provide a dropdown or text input for now
-            // In a real implementation, you might fetch available options from GitHub API
-            valueInput = `<input type="text" 
-                placeholder="Enter value (e.g., dev, staging, prod)" 
-                value="${currentValue}" 
-                onchange="updatePropertyValue('${property.property_name}', this.value)"
-                ${!isSelected ? 'disabled' : ''}>`;
-        } else {
-            // For string and other types, use text input
-            valueInput = `<input type="text" 
-                placeholder="Enter value" 
-                value="${currentValue}" 
-                onchange="updatePropertyValue('${property.property_name}', this.value)"
-                ${!isSelected ? 'disabled' : ''}>`;
-        }
+        const isSelected = appState.selectedProperties.some(sp => sp.propertyName === property.property_name);
+        const allowedValues = (property.allowed_values || []).join(', ');
         
         row.innerHTML = `
             <td>
                 <input type="checkbox" data-property-name="${property.property_name}" onchange="togglePropertySelection('${property.property_name}')" ${isSelected ? 'checked' : ''}>
             </td>
             <td>${property.property_name}</td>
-            <td>${valueInput}</td>
+            <td>${allowedValues || `<span class="muted-text">${property.value_type || 'string'}</span>`}</td>
             <td>${property.description || 'No description'}</td>
         `;
         tbody.appendChild(row);
@@ -1294,77 +2026,206 @@ function changePropertiesPage(direction) {
 }
 
 function togglePropertySelection(propertyName) {
-    const existingIndex = appState.selectedProperties.findIndex(sp => sp.propertyName === propertyName);
-    if (existingIndex === -1) {
-        // Add new property with empty value
-        appState.selectedProperties.push({ propertyName, value: '' });
+    const isSelected = appState.selectedProperties.some(sp => sp.propertyName === propertyName);
+    if (isSelected) {
+        // Unchecking removes the property from every group
+        appState.selectedProperties = appState.selectedProperties.filter(sp => sp.propertyName !== propertyName);
     } else {
-        // Remove existing property
-        appState.selectedProperties.splice(existingIndex, 1);
+        // Checking adds a condition to the last OR group
+        appState.selectedProperties.push({ 
+            propertyName, 
+            operator: 'exists', 
+            value: '', 
+            group: getPropertyFilterGroups().pop() || 0 
+        });
     }
     updateStepAccessibility();
-    updateSelectedPropertiesSummary();
-    // Re-render to update input field state
+    renderPropertyFilter();
+    // Re-render to update the checkbox state
     renderCustomProperties();
 }
 
-function updatePropertyValue(propertyName, value) {
-    const existingProperty = appState.selectedProperties.find(sp => sp.propertyName === propertyName);
-    if (existingProperty) {
-        existingProperty.value = value;
-        updateSelectedPropertiesSummary();
-    }
+/**
+ * Distinct OR group ids in display order
+ * @returns {Array<number>} Group ids
+ */
+function getPropertyFilterGroups() {
+    return [...new Set(appState.selectedProperties.map(sp => sp.group || 0))].sort((a, b) => a - b);
 }
 
-function updateSelectedPropertiesSummary() {
-    const countSpan = document.getElementById('selected-properties-count');
-    const listDiv = document.getElementById('selected-properties-list');
+/**
+ * Render the filter builder: one box per OR group, one row per condition
+ */
+function renderPropertyFilter() {
+    const container = document.getElementById('property-filter-groups');
+    const propertyNames = appState.allProperties.map(property => property.property_name);
+    const groups = getPropertyFilterGroups();
     
-    countSpan.textContent = appState.selectedProperties.length;
+    document.getElementById('selected-properties-count').textContent = appState.selectedProperties.length;
+    container.innerHTML = '';
     
-    listDiv.innerHTML = '';
-    appState.selectedProperties.forEach(property => {
-        const tag = document.createElement('span');
-        tag.className = 'selected-item-tag';
-        const displayText = property.value ? `${property.propertyName}: ${property.value}` : `${property.propertyName}: (no value)`;
-        tag.innerHTML = `
-            ${displayText}
-            <button class="remove-btn" onclick="removePropertySelection('${property.propertyName}')" title="Remove">×</button>
-        `;
-        listDiv.appendChild(tag);
+    if (groups.length === 0) {
+        container.innerHTML = '<p class="muted-text">Select properties in the table above or add a condition to start filtering.</p>';
+    }
+    
+    groups.forEach((group, groupIndex) => {
+        if (groupIndex > 0) {
+            container.insertAdjacentHTML('beforeend', '<div class="filter-or">OR</div>');
+        }
+        
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'filter-group';
+        groupDiv.innerHTML = '<div class="filter-group-label">Match all of:</div>';
+        
+        appState.selectedProperties.forEach((condition, index) => {
+            if ((condition.group || 0) !== group) return;
+            
+            const operator = PropertyFilter.getOperator(condition);
+            const schema = appState.allProperties.find(property => property.property_name === condition.propertyName);
+            const options = [...new Set([condition.propertyName, ...propertyNames])].filter(Boolean);
+            const datalistId = `property-values-${index}`;
+            
+            const row = document.createElement('div');
+            row.className = 'filter-condition';
+            row.innerHTML = `
+                <select data-field="propertyName" data-index="${index}">
+                    ${options.map(name => `<option value="${name}" ${name === condition.propertyName ? 'selected' : ''}>${name}</option>`).join('')}
+                </select>
+                <select data-field="operator" data-index="${index}">
+                    ${Object.entries(PropertyFilter.OPERATORS).map(([key, definition]) => 
+                        `<option value="${key}" ${key === operator ? 'selected' : ''}>${definition.label}</option>`).join('')}
+                </select>
+                <input type="text" data-field="value" data-index="${index}" list="${datalistId}"
+                    value="${MarkdownUtils.escapeHtml(String(condition.value || ''))}"
+                    placeholder="${operator === 'matches' ? '/^react/' : (operator.endsWith('in') ? 'value1, value2' : 'value')}"
+                    class="${PropertyFilter.OPERATORS[operator].needsValue ? '' : 'hidden'}">
+                <datalist id="${datalistId}">
+                    ${((schema && schema.allowed_values) || []).map(value => `<option value="${value}">`).join('')}
+                </datalist>
+                <button class="remove-btn" data-remove-index="${index}" title="Remove condition">×</button>
+            `;
+            groupDiv.appendChild(row);
+        });
+        
+        const addButton = document.createElement('button');
+        addButton.className = 'filter-add-condition';
+        addButton.dataset.addCondition = group;
+        addButton.textContent = '+ Add condition';
+        groupDiv.appendChild(addButton);
+        container.appendChild(groupDiv);
     });
+    
+    updatePropertyFilterCount();
 }
 
-function removePropertySelection(propertyName) {
-    const index = appState.selectedProperties.findIndex(sp => sp.propertyName === propertyName);
-    if (index !== -1) {
-        appState.selectedProperties.splice(index, 1);
-        updateSelectedPropertiesSummary();
-        updateStepAccessibility();
-        
-        // Update the checkbox in the table if visible
-        const checkbox = document.querySelector(`input[data-property-name="${propertyName}"]`);
-        if (checkbox) {
-            checkbox.checked = false;
+/**
+ * Handle edits in the filter builder through event delegation
+ * @param {Event} event - input, change or click event
+ */
+function handlePropertyFilterEvent(event) {
+    const target = event.target;
+    
+    if (event.type === 'click') {
+        if (target.dataset.removeIndex !== undefined) {
+            appState.selectedProperties.splice(Number(target.dataset.removeIndex), 1);
+        } else if (target.dataset.addCondition !== undefined) {
+            addPropertyCondition(Number(target.dataset.addCondition));
+            return;
+        } else {
+            return;
         }
-        
-        // Re-render to update input field state
+        updateStepAccessibility();
+        renderPropertyFilter();
+        renderCustomProperties();
+        return;
+    }
+    
+    const field = target.dataset.field;
+    const condition = appState.selectedProperties[Number(target.dataset.index)];
+    if (!field || !condition) return;
+    
+    condition[field] = target.value;
+    
+    // Typing a value only needs a new count; other changes can alter the row layout
+    if (field === 'value') {
+        debouncedUpdatePropertyFilterCount();
+    } else if (event.type === 'change') {
+        renderPropertyFilter();
         renderCustomProperties();
     }
 }
 
 /**
- * Enhanced search functionality with performance optimizations
+ * Add an empty condition to a group
+ * @param {number} group - Group id
  */
-async function filterRepos() {
-    const searchInput = document.getElementById('repo-search');
-    const searchTerm = ValidationUtils.sanitizeString(searchInput.value.toLowerCase().trim());
-    appState.reposPagination.searchTerm = searchTerm;
+function addPropertyCondition(group) {
+    const firstProperty = appState.allProperties[0];
+    appState.selectedProperties.push({ 
+        propertyName: firstProperty ? firstProperty.property_name : '', 
+        operator: 'equals', 
+        value: '', 
+        group 
+    });
+    updateStepAccessibility();
+    renderPropertyFilter();
+    renderCustomProperties();
+}
+
+function addPropertyFilterGroup() {
+    const groups = getPropertyFilterGroups();
+    addPropertyCondition(groups.length > 0 ? Math.max(...groups) + 1 : 0);
+}
+
+/**
+ * Show how many repositories match the current filter
+ */
+async function updatePropertyFilterCount() {
+    const countElement = document.getElementById('property-filter-count');
+    if (appState.selectedProperties.length === 0) {
+        countElement.textContent = '';
+        return;
+    }
     
-    if (!searchTerm) {
-        // No search term, show all loaded repos
-        appState.reposPagination.filteredRepos = appState.allRepos;
-    } else {
+    let predicate;
+    try {
+        predicate = PropertyFilter.compile(appState.selectedProperties);
+    } catch (error) {
+        countElement.textContent = `⚠️ ${error.message}`;
+        countElement.className = 'filter-count filter-count-error';
+        return;
+    }
+    
+    try {
+        if (!appState.propertyValues) {
+            countElement.textContent = 'Counting matching repositories...';
+            countElement.className = 'filter-count';
+        }
+        const values = await loadPropertyValues();
+        const matches = values.filter(repoData => predicate(getPropertyMap(repoData))).length;
+        countElement.textContent = `${matches} of ${values.length} repositories match`;
+        countElement.className = 'filter-count';
+    } catch (error) {
+        Logger.warn('Could not load custom property values for the match count', { error: error.message });
+        countElement.textContent = 'Match count unavailable';
+        countElement.className = 'filter-count filter-count-error';
+    }
+}
+
+const debouncedUpdatePropertyFilterCount = PerformanceUtils.debounce(updatePropertyFilterCount, 300);
+
+/**
+ * Enhanced search functionality with performance optimizations
+ */
+async function filterRepos() {
+    const searchInput = document.getElementById('repo-search');
+    const searchTerm = ValidationUtils.sanitizeString(searchInput.value.toLowerCase().trim());
+    appState.reposPagination.searchTerm = searchTerm;
+    
+    if (!searchTerm) {
+        // No search term, show all loaded repos
+        appState.reposPagination.searchResults = appState.allRepos;
+    } else {
         // First filter from loaded repos
         const localMatches = appState.allRepos.filter(repo => 
             repo.name.toLowerCase().includes(searchTerm) ||
@@ -1388,23 +2249,17 @@ async function filterRepos() {
                         allMatches.push(repo);
                     }
                 });
-                appState.reposPagination.filteredRepos = allMatches;
+                appState.reposPagination.searchResults = allMatches;
             } catch (error) {
                 Logger.warn('API search failed, using local results only', { error: error.message });
-                appState.reposPagination.filteredRepos = localMatches;
+                appState.reposPagination.searchResults = localMatches;
             }
         } else {
-            appState.reposPagination.filteredRepos = localMatches;
+            appState.reposPagination.searchResults = localMatches;
         }
     }
     
-    // Reset to first page and update pagination
-    appState.reposPagination.currentPage = 1;
-    appState.reposPagination.totalPages = Math.ceil(
-        appState.reposPagination.filteredRepos.length / appState.reposPagination.itemsPerPage
-    );
-    
-    renderRepositories();
+    applyRepoTableView();
 }
 
 /**
@@ -1460,11 +2315,21 @@ function handleReposNext() {
         return;
     }
     
-    if (appState.selectionMethod === 'properties' && appState.selectedProperties.length === 0) {
-        alert('Please select at least one custom property.');
-        return;
+    if (appState.selectionMethod === 'properties') {
+        if (appState.selectedProperties.length === 0) {
+            alert('Please select at least one custom property.');
+            return;
+        }
+        try {
+            PropertyFilter.compile(appState.selectedProperties);
+        } catch (error) {
+            alert(`Please fix the custom property filter: ${error.message}`);
+            return;
+        }
     }
     
+    clearDryRunPreview();
+    clearEligibilityPreflight();
     loadPromptForUseCase();
     goToStep(4);
 }
@@ -1474,533 +2339,1828 @@ async function loadPromptForUseCase() {
     try {
         showLoading('Loading prompt...');
         
-        const url = appState.promptUrls[appState.selectedUseCase];
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to load prompt: ${response.status} ${response.statusText}`);
-        }
+        const promptText = await UseCaseRegistry.loadPrompt(appState.selectedUseCase);
         
-        const promptText = await response.text();
-        appState.promptContent = promptText;
+        // Front-matter configures the issue; only the markdown body is sent as the prompt
+        const { attributes, body } = parsePromptFile(promptText);
+        appState.promptContent = body;
+        appState.originalPromptContent = body;
+        appState.promptMetadata = normalizePromptMetadata(attributes);
         
         // Update UI
-        promptContentTextarea.value = promptText;
+        promptContentTextarea.value = body;
+        renderPromptMetadata();
+        showPromptTab('edit');
         selectedUseCaseDisplay.textContent = getUseCaseDisplayName(appState.selectedUseCase);
         
         updateTargetReposList();
+        updateTemplatePanel();
         
     } catch (error) {
         console.error('Error loading prompt:', error);
         // Fallback to default prompt
         const fallbackPrompt = getFallbackPrompt(appState.selectedUseCase);
         appState.promptContent = fallbackPrompt;
+        appState.originalPromptContent = fallbackPrompt;
+        appState.promptMetadata = {};
         promptContentTextarea.value = fallbackPrompt;
+        renderPromptMetadata();
+        showPromptTab('edit');
         selectedUseCaseDisplay.textContent = getUseCaseDisplayName(appState.selectedUseCase);
         updateTargetReposList();
+        updateTemplatePanel();
     } finally {
         hideLoading();
     }
 }
 
-function getUseCaseDisplayName(useCase) {
-    const names = {
-        'tests': 'Tests Creation',
-        'documentation': 'Code Documentation',
-        'technical-debt': 'Technical Debt'
-    };
-    return names[useCase] || useCase;
-}
-
-function getFallbackPrompt(useCase) {
-    const prompts = {
-        'tests': 'Please help create comprehensive test suites for this repository. Focus on unit tests, integration tests, and ensuring good code coverage.',
-        'documentation': 'Please help improve the documentation for this repository. Include README updates, code comments, and API documentation.',
-        'technical-debt': 'Please help identify and refactor technical debt in this repository. Focus on code quality, performance improvements, and maintainability.'
-    };
-    return prompts[useCase] || 'Please help improve this repository.';
-}
-
-function updateTargetReposList() {
-    targetReposList.innerHTML = '';
-    
-    let targetRepos = [];
-    
-    switch (appState.selectionMethod) {
-        case 'all':
-            targetRepos = [`All repositories in ${appState.orgName}`];
-            break;
-        case 'selected':
-            targetRepos = appState.selectedRepos;
-            break;
-        case 'properties':
-            const propertyDescriptions = appState.selectedProperties.map(property => 
-                property.value ? `${property.propertyName}: ${property.value}` : `${property.propertyName}: (any value)`
-            );
-            
-            if (propertyDescriptions.length > 0) {
-                targetRepos = [`Repositories with custom properties: ${propertyDescriptions.join(', ')}`];
-            } else {
-                targetRepos = ['No custom properties selected'];
-            }
-            break;
-    }
+/**
+ * Show the prompt file's description and issue settings in step 4
+ */
+function renderPromptMetadata() {
+    const container = document.getElementById('prompt-metadata');
+    const metadata = appState.promptMetadata || {};
+    const rows = [
+        ['Issue title', metadata.title],
+        ['Extra labels', (metadata.labels || []).join(', ')],
+        ['Assignees', (metadata.assignees || []).map(login => `@${login}`).join(', ')],
+        ['Milestone', metadata.milestone]
+    ].filter(([, value]) => value);
     
-    targetRepos.forEach(repo => {
-        const li = document.createElement('li');
-        li.textContent = repo;
-        targetReposList.appendChild(li);
-    });
+    document.getElementById('prompt-description').textContent = metadata.description || '';
+    document.getElementById('prompt-metadata-list').innerHTML = rows
+        .map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`)
+        .join('');
+    container.classList.toggle('hidden', !metadata.description && rows.length === 0);
 }
 
 /**
- * Enhanced workflow execution with proper error handling and rate limiting
+ * List local prompts and, when configured, prompts from a library repository
  */
-async function executeWorkflow() {
+async function browsePromptLibrary() {
+    const repo = document.getElementById('prompt-library-repo').value.trim();
+    const path = document.getElementById('prompt-library-path').value.trim();
+    const ref = document.getElementById('prompt-library-ref').value.trim();
+    
+    if (repo && !/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+        showNotification('Enter the library repository as owner/name.', 'error');
+        return;
+    }
+    if (path.split('/').includes('..') || /[<>'"&]/.test(path + ref)) {
+        showNotification('Invalid library path or branch.', 'error');
+        return;
+    }
+    
+    const entries = [];
+    const errors = [];
     try {
-        showLoading('Starting workflow execution...');
-        Logger.info('Starting workflow execution', { 
-            useCase: appState.selectedUseCase,
-            selectionMethod: appState.selectionMethod,
-            org: appState.orgName
-        });
-        
-        // Validate workflow preconditions
-        if (!appState.selectedUseCase) {
-            throw new Error('Please select a use case first.');
-        }
-        
-        if (!ValidationUtils.isValidOrgName(appState.orgName)) {
-            throw new Error('Please provide a valid organization name.');
-        }
-        
-        if (!ValidationUtils.isValidToken(appState.authToken)) {
-            throw new Error('Please provide a valid authentication token.');
-        }
-        
-        // Get updated prompt content with validation
-        const promptContent = promptContentTextarea.value.trim();
-        if (!promptContent) {
-            throw new Error('Please provide prompt content.');
-        }
-        appState.promptContent = ValidationUtils.sanitizeString(promptContent);
-        
-        // Determine which repositories to process
-        let targetRepos = [];
-        
-        switch (appState.selectionMethod) {
-            case 'all':
-                targetRepos = await getAllOrgRepos();
-                break;
-            case 'selected':
-                if (appState.selectedRepos.length === 0) {
-                    throw new Error('Please select at least one repository.');
-                }
-                targetRepos = appState.selectedRepos.map(name => ({ name }));
-                break;
-            case 'properties':
-                targetRepos = await getReposWithCustomProperties();
-                break;
-            default:
-                throw new Error('Invalid repository selection method.');
-        }
+        showLoading('Loading prompt library...');
         
-        if (targetRepos.length === 0) {
-            throw new Error('No repositories found to process.');
+        try {
+            entries.push(...await PromptLibrary.listLocal());
+        } catch (error) {
+            errors.push(`local prompts (${error.message})`);
         }
         
-        Logger.info('Processing repositories', { count: targetRepos.length });
-        updateLoadingMessage(`Processing ${targetRepos.length} repositories...`);
-        
-        // Process each repository with enhanced error handling
-        const results = [];
-        for (let i = 0; i < targetRepos.length; i++) {
-            const repo = targetRepos[i];
-            updateLoadingMessage(`Processing repository ${i + 1}/${targetRepos.length}: ${repo.name}`);
-            
+        if (repo) {
             try {
-                const issueResult = await createIssueAndAssignCopilot(repo.name);
-                results.push({ 
-                    repo: repo.name, 
-                    success: true, 
-                    issue: issueResult,
-                    issueUrl: issueResult.html_url
-                });
+                entries.push(...await PromptLibrary.listRepository(repo, path, ref));
             } catch (error) {
-                Logger.error('Failed to process repository', error, { repo: repo.name });
-                results.push({ 
-                    repo: repo.name, 
-                    success: false, 
-                    error: error.message,
-                    errorType: error.name
-                });
-            }
-            
-            // Rate limiting with configurable delay
-            if (i < targetRepos.length - 1) {
-                await new Promise(resolve => 
-                    setTimeout(resolve, APP_CONFIG.API.RATE_LIMIT_DELAY)
-                );
-            }
-        }
-        
-        hideLoading();
-        
-        // Enhanced results reporting
-        const successCount = results.filter(r => r.success).length;
-        const failureCount = results.length - successCount;
-        
-        Logger.info('Workflow execution completed', { 
-            total: results.length,
-            successful: successCount,
-            failed: failureCount
-        });
-        
-        if (successCount > 0) {
-            showSuccess();
-            if (failureCount > 0) {
-                Logger.warn('Some repositories failed to process', { 
-                    failedRepos: results.filter(r => !r.success).map(r => r.repo)
-                });
+                Logger.error('Failed to list prompt library', error, { repo, path });
+                errors.push(`${repo} (${error.status === 404 ? 'repository or path not found' : error.message})`);
             }
-        } else {
-            const errorMessage = 'No issues were created successfully. Please check your permissions and try again.';
-            Logger.error('Workflow execution failed completely', null, { results });
-            alert(errorMessage);
         }
         
-    } catch (error) {
+        await PromptLibrary.loadDescriptions(entries, (completed, total) => 
+            updateLoadingMessage(`Reading prompt descriptions ${completed}/${total}...`)
+        );
+    } finally {
         hideLoading();
-        Logger.error('Workflow execution error', error);
-        
-        // User-friendly error messages
-        let userMessage = error.message;
-        if (error instanceof APIError) {
-            switch (error.status) {
-                case 401:
-                    userMessage = 'Authentication failed. Please check your token permissions.';
-                    break;
-                case 403:
-                    userMessage = 'Access denied. Please ensure your token has the required permissions.';
-                    break;
-                case 404:
-                    userMessage = 'Organization or repository not found. Please check the organization name.';
-                    break;
-                case 408:
-                    userMessage = 'Request timeout. Please try again.';
-                    break;
-                default:
-                    userMessage = `API Error: ${error.message}`;
-            }
-        }
-        
-        alert(`Workflow execution failed: ${userMessage}`);
+    }
+    
+    PromptLibrary.entries = entries;
+    document.getElementById('prompt-library-preview').classList.add('hidden');
+    renderPromptLibrary();
+    
+    if (errors.length > 0) {
+        showNotification(`Could not list ${errors.join(' and ')}.`, 'warning');
     }
 }
 
 /**
- * Get all repositories for the organization
- * @returns {Promise<Array>} Array of repository objects
+ * Render the prompt library, filtered by the search box
  */
-async function getAllOrgRepos() {
-    try {
-        Logger.info('Fetching organization repositories', { org: appState.orgName });
-        
-        const repos = await APIUtils.githubAPI(`/orgs/${appState.orgName}/repos?per_page=100`);
-        
-        Logger.info('Successfully fetched organization repositories', { 
-            org: appState.orgName, 
-            count: repos.length 
-        });
-        
-        return repos;
-    } catch (error) {
-        Logger.error('Failed to fetch organization repositories', error, { 
-            org: appState.orgName 
-        });
-        throw new Error(`Failed to fetch organization repositories: ${error.message}`);
+function renderPromptLibrary() {
+    const list = document.getElementById('prompt-library-list');
+    const search = document.getElementById('prompt-library-search').value.trim().toLowerCase();
+    const entries = PromptLibrary.entries.filter(entry => 
+        !search || `${entry.name} ${entry.description || ''}`.toLowerCase().includes(search)
+    );
+    
+    list.innerHTML = '';
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="prompt-library-empty">No prompts found.</li>';
+        return;
     }
+    
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'prompt-library-item';
+        li.innerHTML = `
+            <div class="prompt-library-info">
+                <strong>${ValidationUtils.sanitizeString(entry.name)}</strong>
+                <span class="prompt-library-source">${entry.source === 'local' ? 'Local' : ValidationUtils.sanitizeString(entry.source)}</span>
+                <p>${ValidationUtils.sanitizeString(entry.description || '')}</p>
+            </div>
+            <div class="prompt-library-actions">
+                <button class="secondary-btn" data-action="preview">Preview</button>
+                <button class="secondary-btn" data-action="load">Load</button>
+            </div>
+        `;
+        li.querySelector('[data-action="preview"]').addEventListener('click', () => previewLibraryPrompt(entry));
+        li.querySelector('[data-action="load"]').addEventListener('click', () => loadLibraryPrompt(entry));
+        list.appendChild(li);
+    });
 }
 
-async function getReposWithCustomProperties() {
+async function previewLibraryPrompt(entry) {
+    const preview = document.getElementById('prompt-library-preview');
     try {
-        Logger.info('Fetching repositories with custom properties', { 
-            org: appState.orgName,
-            selectedProperties: appState.selectedProperties
-        });
-        
-        // Call GitHub API to get custom property values for organization repositories
-        const response = await APIUtils.githubAPI(`/orgs/${appState.orgName}/properties/values`);
-        
-        if (!response || !Array.isArray(response)) {
-            Logger.warn('No custom property values found or invalid response format');
-            return [];
-        }
-        
-        // Filter repositories that match the selected custom properties and values
-        const filteredRepos = [];
-        const matchingRepos = new Set();
-        
-        for (const repoData of response) {
-            const repoName = repoData.repository_name;
-            let matchesAllProperties = true;
-            
-            // Check if this repository matches ALL selected custom properties
-            for (const selectedProperty of appState.selectedProperties) {
-                const propertyMatch = repoData.properties?.find(
-                    prop => prop.property_name === selectedProperty.propertyName
-                );
-                
-                if (!propertyMatch) {
-                    // Repository doesn't have this property
-                    matchesAllProperties = false;
-                    break;
-                }
-                
-                // If a specific value was selected, check if it matches
-                if (selectedProperty.value && selectedProperty.value.trim()) {
-                    if (propertyMatch.value !== selectedProperty.value) {
-                        matchesAllProperties = false;
-                        break;
-                    }
-                }
-                // If no specific value was selected, just having the property is enough
-            }
-            
-            if (matchesAllProperties && !matchingRepos.has(repoName)) {
-                matchingRepos.add(repoName);
-                filteredRepos.push({ 
-                    name: repoName
-                });
-            }
-        }
-        
-        Logger.info('Successfully filtered repositories by custom properties', { 
-            org: appState.orgName,
-            totalFound: filteredRepos.length,
-            selectedProperties: appState.selectedProperties.length
-        });
-        
-        return filteredRepos;
-        
+        const { body } = parsePromptFile(await PromptLibrary.getContent(entry));
+        preview.textContent = body;
+        preview.classList.remove('hidden');
     } catch (error) {
-        Logger.error('Failed to fetch repositories with custom properties', error, { 
-            org: appState.orgName,
-            selectedProperties: appState.selectedProperties
-        });
-        
-        // Fallback: if API call fails, show error and return empty array
-        showNotification('Failed to fetch repositories with custom properties. Please check your permissions.', 'error');
-        return [];
+        showNotification(`Could not load ${entry.name}: ${error.message}`, 'error');
     }
 }
 
 /**
- * Enhanced issue creation with proper error handling and validation
- * @param {string} repoName - Repository name
- * @returns {Promise<Object>} Created issue object
+ * Replace the prompt in the editor with a library prompt
+ * @param {Object} entry - Library entry
  */
-async function createIssueAndAssignCopilot(repoName) {
+async function loadLibraryPrompt(entry) {
     try {
-        // Validate inputs
-        if (!repoName || !ValidationUtils.sanitizeString(repoName)) {
-            throw new APIError('Invalid repository name', 400);
-        }
-        
-        if (!appState.promptContent.trim()) {
-            throw new APIError('Prompt content is required', 400);
-        }
+        const { attributes, body } = parsePromptFile(await PromptLibrary.getContent(entry));
+        appState.promptContent = body;
+        appState.originalPromptContent = body;
+        appState.promptMetadata = normalizePromptMetadata(attributes);
         
-        Logger.info('Creating issue', { repo: repoName, useCase: appState.selectedUseCase });
-        
-        // Create the issue with sanitized content
-        const issueData = {
-            title: `${getUseCaseDisplayName(appState.selectedUseCase)} - Copilot Agent Task`,
-            body: ValidationUtils.sanitizeString(appState.promptContent),
-            labels: ['copilot-agent', appState.selectedUseCase]
-        };
-        
-        const issue = await APIUtils.githubAPI(`/repos/${appState.orgName}/${repoName}/issues`, {
-            method: 'POST',
-            body: JSON.stringify(issueData)
-        });
-        
-        Logger.info('Issue created successfully', { 
-            repo: repoName, 
-            issueNumber: issue.number,
-            issueId: issue.id
-        });
-        
-        // Try to assign Copilot (this might fail if the bot isn't available)
-        try {
-            await assignCopilotToIssue(repoName, issue.number);
-            Logger.info('Copilot assigned successfully', { repo: repoName, issueNumber: issue.number });
-        } catch (error) {
-            Logger.warn('Failed to assign Copilot to issue', { 
-                repo: repoName, 
-                issueNumber: issue.number,
-                error: error.message
-            });
-            // Continue even if assignment fails
-        }
-        
-        return issue;
+        promptContentTextarea.value = body;
+        renderPromptMetadata();
+        clearDryRunPreview();
+        updateTemplateWarnings();
+        showPromptTab('edit');
         
+        Logger.info('Prompt loaded from library', { prompt: entry.id });
+        showNotification(`Loaded ${entry.name} into the prompt editor.`, 'success');
     } catch (error) {
-        Logger.error('Failed to create issue and assign Copilot', error, { 
-            repo: repoName,
-            org: appState.orgName
-        });
-        throw error;
+        showNotification(`Could not load ${entry.name}: ${error.message}`, 'error');
     }
 }
 
-async function assignCopilotToIssue(repoName, issueNumber) {
+/**
+ * Switch the prompt editor between editing, the rendered preview and the diff
+ * @param {string} tab - edit, preview or diff
+ */
+function showPromptTab(tab) {
+    document.querySelectorAll('[data-prompt-tab]').forEach(button => {
+        button.classList.toggle('active', button.dataset.promptTab === tab);
+    });
+    promptContentTextarea.classList.toggle('hidden', tab !== 'edit');
+    document.getElementById('prompt-preview').classList.toggle('hidden', tab !== 'preview');
+    document.getElementById('prompt-diff').classList.toggle('hidden', tab !== 'diff');
+    
+    if (tab === 'preview') renderPromptPreview();
+    if (tab === 'diff') renderPromptDiff();
+    updatePromptChangeCount();
+}
+
+/**
+ * Render the prompt as the issue body will show it, after front-matter removal and sanitization
+ */
+function renderPromptPreview() {
+    let body = promptContentTextarea.value;
     try {
-        // First, get the issue's node ID using REST API
-        const issueResponse = await fetch(`https://api.github.com/repos/${appState.orgName}/${repoName}/issues/${issueNumber}`, {
-            headers: {
-                'Authorization': `token ${appState.authToken}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
-        
-        if (!issueResponse.ok) {
-            throw new Error(`Failed to get issue details: ${issueResponse.status}`);
-        }
-        
-        const issue = await issueResponse.json();
-        const issueNodeId = issue.node_id;
-        
-        // Find Copilot bot using GraphQL suggestedActors query
-        const copilotAssignee = await findCopilotBot(repoName);
-        
-        if (!copilotAssignee) {
-            console.warn(`Copilot bot not found in suggested actors for ${repoName}`);
-            return;
-        }
-        
-        // Assign Copilot using GraphQL mutation
-        await assignCopilotUsingGraphQL(issueNodeId, copilotAssignee.id);
-        
+        body = YamlUtils.parseFrontMatter(body).body;
     } catch (error) {
-        console.error(`Error assigning Copilot to issue in ${repoName}:`, error);
-        throw error;
+        // Invalid front-matter is reported when the workflow runs
     }
+    
+    const preview = document.getElementById('prompt-preview');
+    preview.innerHTML = MarkdownUtils.render(ValidationUtils.sanitizeString(body)) || 
+        '<p class="prompt-preview-empty">Nothing to preview.</p>';
 }
 
-async function findCopilotBot(repoName) {
-    let endCursor = null;
-    let hasNextPage = true;
-    
-    while (hasNextPage) {
-        const query = `
-            query FindCopilotBot($owner: String!, $name: String!, $endCursor: String) {
-                repository(owner: $owner, name: $name) {
-                    suggestedActors(first: 100, after: $endCursor, capabilities: CAN_BE_ASSIGNED) {
-                        nodes {
-                            ... on Bot {
-                                id
-                                login
-                                __typename
-                            }
-                        }
-                        pageInfo {
-                            hasNextPage
-                            endCursor
-                        }
-                    }
-                }
-            }
-        `;
-        
-        const variables = {
-            owner: appState.orgName,
-            name: repoName,
-            endCursor: endCursor
-        };
-        
-        const response = await fetch('https://api.github.com/graphql', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${appState.authToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ query, variables })
-        });
-        
-        if (!response.ok) {
-            throw new Error(`GraphQL query failed: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (data.errors) {
-            throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
-        }
-        
-        const suggestedActors = data.data.repository.suggestedActors;
-        
-        // Look for copilot-swe-agent in the current page
-        for (const node of suggestedActors.nodes) {
-            if (node.login === 'copilot-swe-agent') {
-                return node;
-            }
-        }
-        
-        // Check if there are more pages
-        hasNextPage = suggestedActors.pageInfo.hasNextPage;
-        endCursor = suggestedActors.pageInfo.endCursor;
+/**
+ * Show the edits made to the loaded prompt, with unchanged runs collapsed
+ */
+function renderPromptDiff() {
+    const container = document.getElementById('prompt-diff');
+    const lines = DiffUtils.diffLines(appState.originalPromptContent, promptContentTextarea.value);
+    const context = 3;
+    const isChange = (line) => line && line.type !== 'same';
+    
+    if (!lines.some(isChange)) {
+        container.innerHTML = '<p class="prompt-preview-empty">No changes from the original prompt.</p>';
+        return;
     }
     
-    return null; // Copilot bot not found
-}
-
-async function assignCopilotUsingGraphQL(issueNodeId, copilotId) {
-    const mutation = `
-        mutation AssignCopilot($input: ReplaceActorsForAssignableInput!) {
-            replaceActorsForAssignable(input: $input) {
-                __typename
-            }
+    const rows = [];
+    let hidden = 0;
+    const prefixes = { same: ' ', added: '+', removed: '-' };
+    lines.forEach((line, index) => {
+        const nearChange = lines.slice(Math.max(0, index - context), index + context + 1).some(isChange);
+        if (!nearChange) {
+            hidden++;
+            return;
         }
-    `;
-    
-    const variables = {
-        input: {
-            assignableId: issueNodeId,
-            actorIds: [copilotId]
+        if (hidden > 0) {
+            rows.push(`<div class="diff-line diff-skipped">⋯ ${hidden} unchanged line(s)</div>`);
+            hidden = 0;
         }
-    };
-    console.log('Assigning Copilot with variables')
-    const response = await fetch('https://api.github.com/graphql', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${appState.authToken}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ "query":mutation, "variables":variables })
+        rows.push(`<div class="diff-line diff-${line.type}">${prefixes[line.type]} ${MarkdownUtils.escapeHtml(line.text) || '&nbsp;'}</div>`);
     });
-    
-    if (!response.ok) {
-        throw new Error(`GraphQL mutation failed: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (data.errors) {
-        throw new Error(`GraphQL mutation errors: ${JSON.stringify(data.errors)}`);
+    if (hidden > 0) {
+        rows.push(`<div class="diff-line diff-skipped">⋯ ${hidden} unchanged line(s)</div>`);
     }
     
-    return data.data.replaceActorsForAssignable;
+    container.innerHTML = rows.join('');
 }
 
-// UI helper functions
-function showLoading(message = 'Loading...') {
-    loadingMessage.textContent = message;
-    loadingModal.classList.remove('hidden');
+/**
+ * Show how many lines differ from the loaded prompt on the Changes tab
+ */
+function updatePromptChangeCount() {
+    const badge = document.getElementById('prompt-diff-count');
+    const lines = DiffUtils.diffLines(appState.originalPromptContent, promptContentTextarea.value);
+    const added = lines.filter(line => line.type === 'added').length;
+    const removed = lines.filter(line => line.type === 'removed').length;
+    
+    badge.textContent = `+${added} −${removed}`;
+    badge.classList.toggle('hidden', added === 0 && removed === 0);
+    document.getElementById('prompt-reset').disabled = added === 0 && removed === 0;
 }
 
-function hideLoading() {
+const debouncedUpdatePromptChangeCount = PerformanceUtils.debounce(updatePromptChangeCount, 300);
+
+function resetPromptToOriginal() {
+    if (!confirm('Discard your edits and restore the original prompt?')) return;
+    
+    promptContentTextarea.value = appState.originalPromptContent;
+    appState.promptContent = appState.originalPromptContent;
+    clearDryRunPreview();
+    updateTemplateWarnings();
+    showPromptTab('edit');
+}
+
+let projectFields = null; // Fields of the selected project, from ProjectBoard.loadFields
+
+/**
+ * Forget the chosen project, e.g. after signing in to another organization
+ */
+function clearProjectPicker() {
+    const select = document.getElementById('project-select');
+    if (!select) return;
+    
+    select.innerHTML = '<option value="">Don\'t add issues to a Project</option>';
+    document.getElementById('project-fields').classList.add('hidden');
+    projectFields = null;
+    appState.project = null;
+}
+
+/**
+ * List the organization's open projects in the picker
+ */
+async function loadProjects() {
+    const select = document.getElementById('project-select');
+    try {
+        showLoading('Loading projects...');
+        const projects = await ProjectBoard.listProjects();
+        
+        const selectedId = select.value;
+        select.innerHTML = '<option value="">Don\'t add issues to a Project</option>';
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project.id;
+            option.textContent = `#${project.number} ${project.title}`;
+            option.dataset.title = project.title;
+            select.appendChild(option);
+        });
+        select.value = projects.some(project => project.id === selectedId) ? selectedId : '';
+        
+        if (projects.length === 0) {
+            showNotification(`${appState.orgName} has no open projects.`, 'info');
+        }
+    } catch (error) {
+        Logger.error('Failed to list projects', error, { org: appState.orgName });
+        showNotification(`Could not list projects: ${getWorkflowErrorMessage(error)}. The token needs the project scope.`, 'error');
+    } finally {
+        hideLoading();
+    }
+    
+    if (!select.value) {
+        projectFields = null;
+        updateProjectSelection();
+        document.getElementById('project-fields').classList.add('hidden');
+    }
+}
+
+/**
+ * Read the fields of the chosen project and show the values that can be set
+ */
+async function handleProjectChange() {
+    const select = document.getElementById('project-select');
+    projectFields = null;
+    updateProjectSelection();
+    document.getElementById('project-fields').classList.add('hidden');
+    if (!select.value) return;
+    
+    try {
+        showLoading('Loading project fields...');
+        projectFields = await ProjectBoard.loadFields(select.value);
+    } catch (error) {
+        Logger.error('Failed to load project fields', error, { projectId: select.value });
+        showNotification(`Could not read the project fields: ${getWorkflowErrorMessage(error)}`, 'error');
+        select.value = '';
+        return;
+    } finally {
+        hideLoading();
+    }
+    
+    renderProjectFields();
+}
+
+/**
+ * Fill the project field controls, defaulting to the current iteration and the use case name
+ */
+function renderProjectFields() {
+    const { status, iteration, campaign } = projectFields;
+    const fillSelect = (id, items, selectedId) => {
+        const select = document.getElementById(id);
+        select.innerHTML = '<option value="">Leave empty</option>';
+        items.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.label;
+            select.appendChild(option);
+        });
+        select.value = selectedId || '';
+    };
+    
+    if (status) {
+        fillSelect('project-status', status.options.map(option => ({ id: option.id, label: option.name })));
+    }
+    if (iteration) {
+        const current = ProjectBoard.findIteration(iteration.iterations);
+        fillSelect('project-iteration', iteration.iterations.map(item => ({ 
+            id: item.id, 
+            label: `${item.title} (from ${item.startDate})` 
+        })), current && current.id);
+    }
+    document.getElementById('project-campaign').value = campaign ? getUseCaseDisplayName(appState.selectedUseCase) : '';
+    
+    document.getElementById('project-status-group').classList.toggle('hidden', !status);
+    document.getElementById('project-iteration-group').classList.toggle('hidden', !iteration);
+    document.getElementById('project-campaign-group').classList.toggle('hidden', !campaign);
+    
+    const missing = [];
+    if (!status) missing.push(`a "${APP_CONFIG.CAMPAIGN.PROJECT_STATUS_FIELD}" single select field`);
+    if (!iteration) missing.push('an iteration field');
+    if (!campaign) missing.push(`a "${APP_CONFIG.CAMPAIGN.PROJECT_CAMPAIGN_FIELD}" text field`);
+    document.getElementById('project-fields-note').textContent = missing.length > 0 
+        ? `This project has no ${missing.join(', ')}, so issues are added without it.` 
+        : '';
+    
+    document.getElementById('project-fields').classList.remove('hidden');
+    updateProjectSelection();
+}
+
+/**
+ * Capture the chosen project and field values for the run
+ */
+function updateProjectSelection() {
+    const select = document.getElementById('project-select');
+    if (!select.value || !projectFields) {
+        appState.project = null;
+        return;
+    }
+    
+    const fields = [];
+    const statusId = document.getElementById('project-status').value;
+    if (projectFields.status && statusId) {
+        fields.push({ fieldId: projectFields.status.id, name: projectFields.status.name, value: { singleSelectOptionId: statusId } });
+    }
+    const iterationId = document.getElementById('project-iteration').value;
+    if (projectFields.iteration && iterationId) {
+        fields.push({ fieldId: projectFields.iteration.id, name: projectFields.iteration.name, value: { iterationId } });
+    }
+    const text = document.getElementById('project-campaign').value.trim();
+    if (projectFields.campaign && text) {
+        fields.push({ fieldId: projectFields.campaign.id, name: projectFields.campaign.name, value: { text } });
+    }
+    
+    const option = select.options[select.selectedIndex];
+    appState.project = { id: select.value, title: option.dataset.title || option.textContent, fields };
+}
+
+function updateTargetReposList() {
+    targetReposList.innerHTML = '';
+    
+    let targetRepos = [];
+    
+    switch (appState.selectionMethod) {
+        case 'all': {
+            const filters = describeRepoFilters(appState.repoFilters);
+            targetRepos = [`All repositories in ${appState.orgName}${filters ? ` (${filters})` : ''}`];
+            break;
+        }
+        case 'selected':
+            targetRepos = appState.selectedRepos;
+            break;
+        case 'properties':
+            if (appState.selectedProperties.length > 0) {
+                targetRepos = [`Repositories where ${PropertyFilter.describe(appState.selectedProperties)}`];
+            } else {
+                targetRepos = ['No custom properties selected'];
+            }
+            break;
+    }
+    
+    targetRepos.forEach(repo => {
+        const li = document.createElement('li');
+        li.textContent = repo;
+        targetReposList.appendChild(li);
+    });
+}
+
+/**
+ * Validate workflow preconditions and capture the latest prompt content
+ */
+function prepareWorkflow() {
+    if (!appState.selectedUseCase) {
+        throw new Error('Please select a use case first.');
+    }
+    
+    if (!ValidationUtils.isValidOrgName(appState.orgName)) {
+        throw new Error('Please provide a valid organization name.');
+    }
+    
+    if (!ValidationUtils.isValidToken(appState.authToken)) {
+        throw new Error('Please provide a valid authentication token.');
+    }
+    
+    // Get updated prompt content with validation
+    const promptContent = promptContentTextarea.value.trim();
+    if (!promptContent) {
+        throw new Error('Please provide prompt content.');
+    }
+    
+    // Front-matter typed into the editor overrides the settings from the prompt file
+    const { attributes, body } = parsePromptFile(promptContent);
+    if (Object.keys(attributes).length > 0) {
+        appState.promptMetadata = { ...appState.promptMetadata, ...normalizePromptMetadata(attributes) };
+    }
+    appState.promptContent = ValidationUtils.sanitizeString(body);
+}
+
+/**
+ * Translate workflow errors into user-friendly messages
+ * @param {Error} error - Error raised during the workflow
+ * @returns {string} Message suitable for display
+ */
+function getWorkflowErrorMessage(error) {
+    if (!(error instanceof APIError)) {
+        return error.message;
+    }
+    
+    switch (error.status) {
+        case 401:
+            return 'Authentication failed. Please check your token permissions.';
+        case 403:
+            return 'Access denied. Please ensure your token has the required permissions.';
+        case 404:
+            return 'Organization or repository not found. Please check the organization name.';
+        case 408:
+            return 'Request timeout. Please try again.';
+        case 499:
+            return 'The run was cancelled before any repository was processed.';
+        default:
+            return `API Error: ${error.message}`;
+    }
+}
+
+/**
+ * Refresh the template variable warnings and sample repository suggestions
+ */
+function updateTemplatePanel() {
+    updateTemplateWarnings();
+    
+    // Suggest repositories the user is most likely to sample
+    const datalist = document.getElementById('template-sample-repos');
+    const names = appState.selectionMethod === 'selected' 
+        ? appState.selectedRepos 
+        : [...appState.repoDetails.keys(), ...appState.allRepos.map(repo => repo.name)];
+    datalist.innerHTML = '';
+    [...new Set(names)].slice(0, 200).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        datalist.appendChild(option);
+    });
+}
+
+/**
+ * Template variables of the issue title and prompt being edited that cannot be resolved
+ * @returns {Array<string>} Unknown variable names
+ */
+function getUnknownPromptVariables() {
+    return getUnknownTemplateVariables(`${getIssueTitleTemplate()}\n${promptContentTextarea.value}`);
+}
+
+/**
+ * Flag template variables that cannot be resolved for any repository
+ */
+function updateTemplateWarnings() {
+    const warnings = document.getElementById('template-warnings');
+    const unknown = getUnknownPromptVariables();
+    
+    if (unknown.length === 0) {
+        warnings.classList.add('hidden');
+        return;
+    }
+    
+    warnings.textContent = `⚠️ Unresolved variables: ${unknown.map(name => `{{${name}}}`).join(', ')}. They will be left empty.`;
+    warnings.classList.remove('hidden');
+}
+
+const debouncedUpdateTemplateWarnings = PerformanceUtils.debounce(updateTemplateWarnings, 300);
+
+/**
+ * Render the current prompt for a sample repository
+ */
+async function previewTemplateForRepo() {
+    const input = document.getElementById('template-sample-repo');
+    const output = document.getElementById('template-preview-output');
+    const repoName = ValidationUtils.sanitizeString(input.value.trim());
+    
+    if (!repoName) {
+        showNotification('Enter a repository name to preview the prompt.', 'warning');
+        return;
+    }
+    
+    try {
+        showLoading(`Rendering prompt for ${repoName}...`);
+        const template = ValidationUtils.sanitizeString(promptContentTextarea.value);
+        const context = await getRepoTemplateContext(repoName, TemplateUtils.getVariables(template));
+        const { text, unresolved } = TemplateUtils.render(template, context);
+        
+        output.textContent = ValidationUtils.sanitizeString(text);
+        output.classList.remove('hidden');
+        
+        if (unresolved.length > 0) {
+            showNotification(`No value for ${unresolved.join(', ')} in ${repoName}.`, 'warning');
+        }
+    } catch (error) {
+        Logger.error('Template preview failed', error, { repo: repoName });
+        showNotification(`Could not render the prompt for ${repoName}: ${getWorkflowErrorMessage(error)}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Enhanced workflow execution with proper error handling and rate limiting
+ */
+async function executeWorkflow() {
+    if (!confirmTemplateVariables()) return;
+    
+    const startedAt = new Date().toISOString();
+    try {
+        showLoading('Starting workflow execution...');
+        beginControlledRun();
+        Logger.info('Starting workflow execution', { 
+            useCase: appState.selectedUseCase,
+            selectionMethod: appState.selectionMethod,
+            org: appState.orgName
+        });
+        
+        prepareWorkflow();
+        const rollout = getRolloutSettings();
+        
+        // Determine which repositories to process
+        const targetRepos = await resolveTargetRepos();
+        
+        // A staged rollout only processes the canary now; later waves wait for confirmation
+        const waves = rollout ? planRolloutWaves(targetRepos, rollout) : [targetRepos];
+        const firstWave = waves[0] || [];
+        
+        Logger.info('Processing repositories', { count: firstWave.length, targets: targetRepos.length, waves: waves.length });
+        await primeCopilotEligibility(firstWave);
+        updateLoadingMessage(`Processing ${firstWave.length} repositories...`);
+        
+        const results = await processRepositories(firstWave, (completed, total, repo) => 
+            updateLoadingMessage(`Processed ${completed}/${total} repositories (latest: ${repo.name})`));
+        
+        // Keep the run for the session so failures can be retried
+        appState.lastRun = {
+            org: appState.orgName,
+            host: appState.apiHost,
+            useCase: appState.selectedUseCase,
+            context: getRunContext(),
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            cancelled: RunControl.cancelled,
+            results: rollout ? results.map(entry => ({ ...entry, wave: 0 })) : results,
+            rollout: rollout 
+                ? { waves: waves.map(wave => wave.map(repo => repo.name)), completed: Math.min(1, waves.length), stopped: false } 
+                : null
+        };
+        appState.tracking = null;
+        
+        hideLoading();
+        clearDryRunPreview();
+        reportRunResults();
+        
+    } catch (error) {
+        hideLoading();
+        Logger.error('Workflow execution error', error);
+        alert(`Workflow execution failed: ${getWorkflowErrorMessage(error)}`);
+    } finally {
+        endControlledRun();
+    }
+}
+
+/**
+ * Report the outcome of the last run to the user
+ */
+function reportRunResults() {
+    const { results, cancelled, rollout } = appState.lastRun;
+    const successCount = results.filter(r => r.success).length;
+    const failureCount = results.length - successCount;
+    const unassignedCount = results.filter(r => r.success && r.assigned === false).length;
+    const skippedCount = results.filter(r => r.action === 'skip').length;
+    
+    Logger.info('Workflow execution completed', { 
+        total: results.length,
+        successful: successCount,
+        failed: failureCount,
+        unassigned: unassignedCount,
+        skipped: skippedCount
+    });
+    
+    if (failureCount > 0) {
+        Logger.warn('Some repositories failed to process', { 
+            failedRepos: results.filter(r => !r.success).map(r => r.repo)
+        });
+    }
+    
+    goToStep(5);
+    
+    if (cancelled) {
+        const notStartedCount = results.filter(r => r.notStarted).length;
+        showNotification(`Run cancelled: ${results.length - notStartedCount} repositories processed, ${notStartedCount} not started.`, 'warning');
+    } else if (successCount === 0) {
+        Logger.error('Workflow execution failed completely', null, { results });
+        showNotification('No issues were created successfully. Please check your permissions and try again.', 'error');
+    } else if (failureCount > 0 || unassignedCount > 0) {
+        showNotification(`${failureCount} repositories failed and Copilot was not assigned in ${unassignedCount}.`, 'warning');
+    } else if (rollout && !rollout.stopped && rollout.completed < rollout.waves.length) {
+        showNotification(`${getWaveName(rollout.completed - 1)} completed successfully. Start the next wave when you are ready.`, 'success');
+    } else {
+        showNotification('Workflow completed successfully.', 'success');
+    }
+}
+
+// Settings processRepositories reads from appState, captured so later work on a run matches how it started
+const RUN_CONTEXT_KEYS = ['selectedUseCase', 'promptContent', 'promptMetadata', 'duplicatePolicy', 'project'];
+
+/**
+ * Capture the campaign settings of a run that is about to start
+ * @returns {Object} Values of RUN_CONTEXT_KEYS
+ */
+function getRunContext() {
+    return Object.fromEntries(RUN_CONTEXT_KEYS.map(key => [key, appState[key]]));
+}
+
+/**
+ * Run a task with the campaign settings a run was started with, then put back the current ones
+ * @param {Object} run - Run with the context from getRunContext
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+async function withRunContext(run, task) {
+    const current = getRunContext();
+    Object.assign(appState, run.context);
+    try {
+        return await task();
+    } finally {
+        Object.assign(appState, current);
+    }
+}
+
+/**
+ * Merge retried entries into the last run, replacing the previous entry per repository
+ * @param {Array} retried - Updated run result entries
+ */
+function mergeRunResults(retried) {
+    const byRepo = new Map(retried.map(entry => [entry.repo, entry]));
+    // Retried entries stay in the rollout wave they were first run in
+    appState.lastRun.results = appState.lastRun.results.map(entry => 
+        byRepo.has(entry.repo) ? { ...byRepo.get(entry.repo), wave: entry.wave } : entry);
+}
+
+/**
+ * Failed entries of the last run that a retry may run again. Entries cancelled in flight are left out
+ * under the create policy: their issue may already exist, and nothing would look for it before creating another.
+ * @returns {Array<Object>} Retryable run result entries
+ */
+function getRetryableEntries() {
+    if (!appState.lastRun) return [];
+    const { context } = appState.lastRun;
+    const skipCancelled = !!context && context.duplicatePolicy === 'create';
+    return appState.lastRun.results.filter(entry => !entry.success && !(entry.cancelled && skipCancelled));
+}
+
+/**
+ * Re-run issue creation only for repositories that failed in the last run
+ */
+async function retryFailedRepositories() {
+    const failed = getRetryableEntries();
+    const skippedCancelled = appState.lastRun 
+        ? appState.lastRun.results.filter(entry => entry.cancelled).length - failed.filter(entry => entry.cancelled).length
+        : 0;
+    if (skippedCancelled > 0) {
+        showNotification(`${skippedCancelled} repositories cancelled in flight are not retried: with the create policy their issue may already exist. Check them by hand.`, 'warning');
+    }
+    if (failed.length === 0) {
+        showNotification('There are no failed repositories to retry.', 'info');
+        return;
+    }
+    if (!appState.lastRun.context) {
+        showNotification('A run opened from a results file has no prompt to retry with. Start a new workflow instead.', 'warning');
+        return;
+    }
+    if (!isLastRunSignedIn()) {
+        showNotification(`Sign in to ${appState.lastRun.org} on ${appState.lastRun.host} to retry this run.`, 'error');
+        return;
+    }
+    
+    try {
+        showLoading(`Retrying ${failed.length} failed repositories...`);
+        beginControlledRun();
+        Logger.info('Retrying failed repositories', { count: failed.length });
+        
+        // Retry the campaign the run was started with (use case, prompt, duplicate policy), not later edits
+        const retried = await withRunContext(appState.lastRun, () => ExecutionScheduler.run(
+            failed, 
+            entry => processRepository(entry.repo), 
+            {
+                onProgress: (completed, total, entry) => 
+                    updateLoadingMessage(`Retried ${completed}/${total} repositories (latest: ${entry.repo})`)
+            }
+        ));
+        
+        // Entries a cancel prevented from starting keep their previous result
+        mergeRunResults(retried.filter(Boolean));
+        appState.lastRun.cancelled = RunControl.cancelled;
+        hideLoading();
+        reportRunResults();
+    } catch (error) {
+        hideLoading();
+        Logger.error('Retry of failed repositories failed', error);
+        alert(`Retry failed: ${getWorkflowErrorMessage(error)}`);
+    } finally {
+        endControlledRun();
+    }
+}
+
+/**
+ * Retry Copilot assignment for issues that were created but never assigned
+ */
+async function retryCopilotAssignment() {
+    const unassigned = appState.lastRun 
+        ? appState.lastRun.results.filter(r => r.success && r.assigned === false) 
+        : [];
+    if (unassigned.length === 0) {
+        showNotification('Copilot is already assigned to every created issue.', 'info');
+        return;
+    }
+    if (!isLastRunSignedIn()) {
+        showNotification(`Sign in to ${appState.lastRun.org} on ${appState.lastRun.host} to retry this run.`, 'error');
+        return;
+    }
+    
+    try {
+        showLoading(`Assigning Copilot to ${unassigned.length} issues...`);
+        beginControlledRun();
+        Logger.info('Retrying Copilot assignment', { count: unassigned.length });
+        
+        // Copilot may have been enabled since the run, so check these repositories again
+        const repoNames = unassigned.map(entry => entry.repo);
+        CopilotActor.forget(repoNames);
+        await CopilotActor.check(repoNames);
+        
+        const retried = await ExecutionScheduler.run(unassigned, async (entry) => {
+            const startTime = Date.now();
+            try {
+                await assignCopilotToIssue(entry.repo, entry.issue.number);
+                return { ...entry, assigned: true, assignmentError: null, durationMs: Date.now() - startTime };
+            } catch (error) {
+                return { ...entry, assigned: false, assignmentError: error.message, durationMs: Date.now() - startTime };
+            }
+        }, {
+            onProgress: (completed, total, entry) => 
+                updateLoadingMessage(`Assigned ${completed}/${total} issues (latest: ${entry.repo})`)
+        });
+        
+        mergeRunResults(retried.filter(Boolean));
+        appState.lastRun.cancelled = RunControl.cancelled;
+        hideLoading();
+        reportRunResults();
+    } catch (error) {
+        hideLoading();
+        Logger.error('Retry of Copilot assignment failed', error);
+        alert(`Retry failed: ${getWorkflowErrorMessage(error)}`);
+    } finally {
+        endControlledRun();
+    }
+}
+
+/**
+ * Run result entries whose issue a rollback still has to close. Only issues the run created count:
+ * issues it skipped, commented on or reopened belong to earlier runs and are left open.
+ * @returns {Array<Object>} Entries with a created issue that was not rolled back yet
+ */
+function getRollbackEntries() {
+    if (!appState.lastRun) return [];
+    return appState.lastRun.results.filter(entry => 
+        entry.action === 'create' && entry.issue && entry.issue.number && 
+        !(entry.rollback && entry.rollback.status === 'closed'));
+}
+
+/**
+ * Close every issue the last run created, optionally unassigning Copilot and labelling the issues
+ */
+async function rollbackCampaign() {
+    const entries = getRollbackEntries();
+    if (entries.length === 0) {
+        showNotification('There are no issues created by this run left to roll back.', 'info');
+        return;
+    }
+    
+    const options = {
+        comment: document.getElementById('rollback-comment').value,
+        unassign: document.getElementById('rollback-unassign').checked,
+        label: document.getElementById('rollback-label').checked
+    };
+    const { org } = appState.lastRun;
+    if (!isLastRunSignedIn()) {
+        showNotification(`Sign in to ${org} on ${appState.lastRun.host} to roll back this run.`, 'error');
+        return;
+    }
+    if (!confirm(`Close ${entries.length} campaign issues in ${org}? Reopening them has to be done by hand.`)) {
+        return;
+    }
+    
+    try {
+        showLoading(`Rolling back ${entries.length} issues...`);
+        beginControlledRun();
+        Logger.info('Rolling back campaign', { count: entries.length, ...options, comment: Boolean(options.comment.trim()) });
+        
+        const rolledBack = await ExecutionScheduler.run(entries, async (entry) => {
+            try {
+                const warnings = await rollbackCampaignIssue(org, entry.repo, entry.issue.number, options);
+                return { ...entry, rollback: { status: 'closed', error: warnings.join('; ') || null } };
+            } catch (error) {
+                if (error instanceof APIError && error.status === 499) return null;
+                Logger.error('Failed to roll back campaign issue', error, { repo: entry.repo, issueNumber: entry.issue.number });
+                return { ...entry, rollback: { status: 'failed', error: error.message } };
+            }
+        }, {
+            onProgress: (completed, total, entry) => 
+                updateLoadingMessage(`Closed ${completed}/${total} issues (latest: ${entry.repo})`)
+        });
+        
+        // Cancelled entries keep their previous state and can be rolled back again
+        const finished = rolledBack.filter(Boolean);
+        mergeRunResults(finished);
+        appState.tracking = null;
+        hideLoading();
+        renderResults();
+        
+        const failedCount = finished.filter(entry => entry.rollback.status === 'failed').length;
+        const warningCount = finished.filter(entry => entry.rollback.status === 'closed' && entry.rollback.error).length;
+        const closedCount = finished.length - failedCount;
+        if (RunControl.cancelled) {
+            showNotification(`Rollback cancelled: ${closedCount} issues closed, ${entries.length - finished.length} left open.`, 'warning');
+        } else if (failedCount > 0 || warningCount > 0) {
+            showNotification(`${closedCount} issues closed, ${failedCount} could not be closed and ${warningCount} closed with warnings.`, 'warning');
+        } else {
+            showNotification(`Rolled back ${closedCount} campaign issues.`, 'success');
+        }
+    } catch (error) {
+        hideLoading();
+        Logger.error('Campaign rollback failed', error);
+        alert(`Rollback failed: ${getWorkflowErrorMessage(error)}`);
+    } finally {
+        endControlledRun();
+    }
+}
+
+/**
+ * Read the staged rollout settings from step 4
+ * @returns {Object|null} Plan for planRolloutWaves, or null to process every repository at once
+ */
+function getRolloutSettings() {
+    if (!document.getElementById('rollout-enabled').checked) return null;
+    
+    const percentages = parseFilterList(document.getElementById('rollout-waves').value)
+        .map(item => Number(item.replace(/%$/, '')));
+    if (percentages.some(percentage => !Number.isFinite(percentage) || percentage <= 0 || percentage > 100)) {
+        throw new Error('Rollout waves must be percentages between 1 and 100, such as 25, 50, 100.');
+    }
+    
+    if (document.getElementById('rollout-canary-mode').value === 'manual') {
+        const canaryRepos = parseFilterList(document.getElementById('rollout-canary-repos').value);
+        if (canaryRepos.length === 0) {
+            throw new Error('List the canary repositories, or pick them at random.');
+        }
+        return { canaryRepos, percentages };
+    }
+    
+    const canarySize = parseInt(document.getElementById('rollout-canary-size').value, 10);
+    if (!(canarySize > 0)) {
+        throw new Error('The canary needs at least one repository.');
+    }
+    return { canarySize, percentages };
+}
+
+/**
+ * Display name of a rollout wave
+ * @param {number} index - Wave index, 0 for the canary
+ * @returns {string} Wave name
+ */
+function getWaveName(index) {
+    return index === 0 ? 'Canary' : `Wave ${index}`;
+}
+
+/**
+ * Show the progress of a staged rollout, the outcomes per wave and the gate for the next wave
+ * @param {string} containerId - Element to render into
+ */
+function renderRolloutStatus(containerId) {
+    const container = document.getElementById(containerId);
+    const rollout = appState.lastRun && appState.lastRun.rollout;
+    container.classList.toggle('hidden', !rollout);
+    if (!rollout) return;
+    
+    const { waves, completed, stopped } = rollout;
+    const rows = waves.slice(0, completed).map((repos, index) => {
+        const entries = appState.lastRun.results.filter(entry => entry.wave === index);
+        const statuses = getTrackedIssues()
+            .filter(issue => issue.wave === index)
+            .map(issue => getTrackingStatus(issue).progress);
+        const count = (...states) => appState.tracking ? statuses.filter(state => states.includes(state)).length : '-';
+        return `
+            <tr>
+                <td>${getWaveName(index)}</td>
+                <td>${repos.length}</td>
+                <td>${entries.filter(entry => entry.success).length}</td>
+                <td>${entries.filter(entry => !entry.success || entry.assigned === false).length}</td>
+                <td>${count('draft', 'open', 'merged', 'closed')}</td>
+                <td>${count('merged')}</td>
+                <td>${count('unassigned', 'issue-closed', 'closed', 'error')}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    const pending = waves.length - completed;
+    let heading;
+    let message;
+    if (stopped) {
+        heading = `🚦 Rollout stopped after ${getWaveName(completed - 1).toLowerCase()}`;
+        message = `${waves.slice(completed).flat().length} repositories in later waves were left out.`;
+    } else if (pending === 0) {
+        heading = '🚦 Rollout complete';
+        message = 'Every target repository has been processed.';
+    } else {
+        heading = `🚦 ${getWaveName(completed - 1)} done, ${pending} of ${waves.length} waves to go`;
+        message = `Check the outcomes below${containerId === 'results-rollout' ? ' and track Copilot\'s progress' : ''} before starting ${getWaveName(completed)} with ${waves[completed].length} repositories.`;
+    }
+    
+    container.innerHTML = `
+        <h4>${heading}</h4>
+        <p>${message}</p>
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Wave</th>
+                        <th>Repositories</th>
+                        <th>Issues</th>
+                        <th>Failed or not assigned</th>
+                        <th>Pull requests</th>
+                        <th>Merged</th>
+                        <th>Needs attention</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${!stopped && pending > 0 ? `
+            <div class="rollout-actions">
+                <button class="back-btn" data-rollout-action="stop">⏹️ Stop Rollout</button>
+                <button class="execute-btn" data-rollout-action="continue">▶️ Start ${getWaveName(completed)} (${waves[completed].length} repositories)</button>
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Handle the gate buttons of a staged rollout
+ * @param {Event} event - Click event inside a rollout status panel
+ */
+function handleRolloutAction(event) {
+    const button = event.target.closest('[data-rollout-action]');
+    if (!button) return;
+    
+    if (button.dataset.rolloutAction === 'continue') {
+        continueRollout();
+    } else {
+        stopRollout();
+    }
+}
+
+/**
+ * Process the next wave of a staged rollout after explicit confirmation
+ */
+async function continueRollout() {
+    const { rollout } = appState.lastRun;
+    const waveIndex = rollout.completed;
+    const wave = rollout.waves[waveIndex];
+    if (!wave || rollout.stopped) return;
+    
+    if (!isLastRunSignedIn()) {
+        showNotification(`Sign in to ${appState.lastRun.org} on ${appState.lastRun.host} to continue the rollout.`, 'error');
+        return;
+    }
+    if (!confirm(`Start ${getWaveName(waveIndex)} of the rollout in ${wave.length} repositories?`)) {
+        return;
+    }
+    
+    try {
+        showLoading(`Starting ${getWaveName(waveIndex)}...`);
+        beginControlledRun();
+        Logger.info('Starting rollout wave', { wave: waveIndex, count: wave.length });
+        
+        // Every wave uses the campaign the rollout was started with, even after going back to earlier steps
+        const waveRepos = wave.map(name => ({ name }));
+        const results = await withRunContext(appState.lastRun, async () => {
+            await primeCopilotEligibility(waveRepos);
+            return processRepositories(waveRepos, (completed, total, repo) => 
+                updateLoadingMessage(`${getWaveName(waveIndex)}: processed ${completed}/${total} repositories (latest: ${repo.name})`));
+        });
+        
+        appState.lastRun.results.push(...results.map(entry => ({ ...entry, wave: waveIndex })));
+        appState.lastRun.finishedAt = new Date().toISOString();
+        appState.lastRun.cancelled = RunControl.cancelled;
+        rollout.completed = waveIndex + 1;
+        
+        hideLoading();
+        reportRunResults();
+    } catch (error) {
+        hideLoading();
+        Logger.error('Rollout wave failed', error, { wave: waveIndex });
+        alert(`${getWaveName(waveIndex)} failed: ${getWorkflowErrorMessage(error)}`);
+    } finally {
+        endControlledRun();
+    }
+}
+
+/**
+ * End a staged rollout, leaving the remaining waves out
+ */
+function stopRollout() {
+    const { rollout } = appState.lastRun;
+    const remaining = rollout.waves.slice(rollout.completed).flat().length;
+    if (!confirm(`Stop the rollout? The ${remaining} repositories in later waves will not get an issue.`)) {
+        return;
+    }
+    
+    rollout.stopped = true;
+    Logger.info('Rollout stopped', { completed: rollout.completed, remaining });
+    renderRolloutStatus('results-rollout');
+    renderRolloutStatus('tracking-rollout');
+    showNotification(`Rollout stopped. ${remaining} repositories were left out.`, 'info');
+}
+
+/**
+ * Render the results step for the last run
+ */
+function renderResults() {
+    const tbody = document.getElementById('results-tbody');
+    const statsDiv = document.getElementById('results-stats');
+    tbody.innerHTML = '';
+    statsDiv.innerHTML = '';
+    
+    if (!appState.lastRun) return;
+    
+    const { results } = appState.lastRun;
+    const counts = { succeeded: 0, unassigned: 0, skipped: 0, failed: 0, cancelled: 0, 'not-started': 0 };
+    results.forEach(entry => counts[getResultOutcome(entry)]++);
+    
+    const stats = [
+        ['Repositories', results.length],
+        ['Succeeded', counts.succeeded],
+        ['Copilot not assigned', counts.unassigned],
+        ['Skipped', counts.skipped],
+        ['Failed', counts.failed]
+    ];
+    const labelProblems = results.filter(entry => entry.labelError).length;
+    if (labelProblems > 0) {
+        stats.push(['Labels missing', labelProblems]);
+    }
+    const projectProblems = results.filter(entry => entry.projectError).length;
+    if (projectProblems > 0) {
+        stats.push(['Not added to project', projectProblems]);
+    }
+    if (appState.lastRun.cancelled || counts.cancelled > 0 || counts['not-started'] > 0) {
+        stats.push(['Cancelled in flight', counts.cancelled], ['Not started', counts['not-started']]);
+    }
+    stats.forEach(([label, value]) => {
+        const stat = document.createElement('div');
+        stat.className = 'results-stat';
+        stat.innerHTML = `
+            <span class="results-stat-value">${value}</span>
+            <span class="results-stat-label">${label}</span>
+        `;
+        statsDiv.appendChild(stat);
+    });
+    
+    const filter = document.getElementById('results-filter').value;
+    const outcomeBadges = {
+        succeeded: '<span class="status-badge status-success">✅ Succeeded</span>',
+        unassigned: '<span class="status-badge status-warning">⚠️ Not assigned</span>',
+        skipped: '<span class="status-badge status-warning">⏭️ Skipped</span>',
+        failed: '<span class="status-badge status-error">❌ Failed</span>',
+        cancelled: '<span class="status-badge status-warning">⏹️ Cancelled</span>',
+        'not-started': '<span class="status-badge">⏸️ Not started</span>'
+    };
+    
+    results
+        .filter(entry => filter === 'all' || getResultOutcome(entry) === filter)
+        .forEach(entry => {
+            const record = toResultRecord(entry);
+            let copilotStatus = 'N/A';
+            if (record.copilotAssigned === true) copilotStatus = 'Assigned';
+            if (record.copilotAssigned === false) copilotStatus = 'Not assigned';
+            
+            const escape = (value) => MarkdownUtils.escapeHtml(String(value));
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><span class="repo-name">${escape(record.repository)}</span></td>
+                <td>${outcomeBadges[record.outcome]}${renderResultNote(record.labelError, 'labels missing')}${renderResultNote(record.projectError, 'not on project')}</td>
+                <td>${record.issueUrl ? `<a href="${escape(record.issueUrl)}" target="_blank" class="repo-name">#${escape(record.issueNumber)}</a>` : '-'}${renderRollbackNote(entry.rollback)}</td>
+                <td>${copilotStatus}</td>
+                <td>${record.errorType ? escape(record.errorType) : '-'}</td>
+                <td>${record.error ? escape(record.error) : '-'}</td>
+                <td>${record.durationMs !== null ? `${(record.durationMs / 1000).toFixed(1)}s` : '-'}</td>
+            `;
+            tbody.appendChild(row);
+        });
+    
+    const retryFailedBtn = document.getElementById('retry-failed');
+    const retryAssignmentBtn = document.getElementById('retry-assignment');
+    const retryableCount = getRetryableEntries().length;
+    retryFailedBtn.textContent = `🔁 Retry failed (${retryableCount})`;
+    retryFailedBtn.disabled = retryableCount === 0;
+    retryAssignmentBtn.textContent = `🤖 Retry assignment only (${counts.unassigned})`;
+    retryAssignmentBtn.disabled = counts.unassigned === 0;
+    
+    renderRolloutStatus('results-rollout');
+    
+    const rollbackCount = getRollbackEntries().length;
+    const rollbackBtn = document.getElementById('rollback-run');
+    rollbackBtn.textContent = `Close ${rollbackCount} issues`;
+    rollbackBtn.disabled = rollbackCount === 0;
+}
+
+/**
+ * Flag a partial failure of a result entry, with the details on hover
+ * @param {string|null} error - Error message
+ * @param {string} label - Short description shown in the table
+ * @returns {string} HTML note, empty without an error
+ */
+function renderResultNote(error, label) {
+    if (!error) return '';
+    return `<span class="result-note result-note-error" title="${MarkdownUtils.escapeHtml(String(error))}">${label}</span>`;
+}
+
+/**
+ * Describe the rollback of a result entry's issue
+ * @param {Object|null} rollback - Rollback state as { status, error }
+ * @returns {string} HTML note, empty when the issue was not rolled back
+ */
+function renderRollbackNote(rollback) {
+    if (!rollback) return '';
+    if (rollback.status === 'failed') {
+        return `<span class="result-note result-note-error" title="${MarkdownUtils.escapeHtml(rollback.error || '')}">rollback failed</span>`;
+    }
+    const title = rollback.error ? ` title="${MarkdownUtils.escapeHtml(rollback.error)}"` : '';
+    return `<span class="result-note"${title}>closed by rollback${rollback.error ? ' ⚠️' : ''}</span>`;
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - Content MIME type
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Format records as CSV
+ * @param {Array<string>} columns - Column names, also the record keys
+ * @param {Array<Object>} records - Records to export
+ * @returns {string} CSV text with a header row
+ */
+function toCSV(columns, records) {
+    const escapeCell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [
+        columns.join(','),
+        ...records.map(record => columns.map(column => escapeCell(record[column])).join(','))
+    ].join('\n');
+}
+
+/**
+ * Build a file name for exported results
+ * @param {string} extension - File extension
+ * @returns {string} File name including org, use case and run time
+ */
+function getResultsFilename(extension) {
+    const { org, useCase, startedAt } = appState.lastRun;
+    return `copilot-campaign-${org}-${useCase}-${startedAt.replace(/[:.]/g, '-')}.${extension}`;
+}
+
+/**
+ * Export the last run's results as CSV
+ */
+function exportResultsCSV() {
+    if (!appState.lastRun) return;
+    
+    const records = appState.lastRun.results.map(toResultRecord);
+    downloadFile(getResultsFilename('csv'), toCSV(Object.keys(toResultRecord({})), records), 'text/csv');
+}
+
+/**
+ * Export the last run's results as JSON
+ */
+function exportResultsJSON() {
+    if (!appState.lastRun) return;
+    
+    const { org, host, useCase, startedAt, finishedAt, cancelled, results } = appState.lastRun;
+    const report = {
+        org,
+        host,
+        useCase,
+        startedAt,
+        finishedAt,
+        cancelled: Boolean(cancelled),
+        exportedAt: new Date().toISOString(),
+        results: results.map(toResultRecord)
+    };
+    
+    downloadFile(getResultsFilename('json'), JSON.stringify(report, null, 2), 'application/json');
+}
+
+/**
+ * Open an exported results file as the last run, so it can be tracked or rolled back after a reload
+ * @param {Event} event - Change event of the file input
+ */
+async function handleResultsImport(event) {
+    const input = event.target;
+    const file = input.files[0];
+    if (!file) return;
+    
+    try {
+        const report = JSON.parse(await file.text());
+        if (!report || !Array.isArray(report.results) || !report.org) {
+            throw new Error('the file is not an exported results file');
+        }
+        if (report.dryRun) {
+            throw new Error('a dry run did not create any issues');
+        }
+        if (report.org.toLowerCase() !== appState.orgName.toLowerCase()) {
+            throw new Error(`the run was for ${report.org}, but you are signed in to ${appState.orgName}`);
+        }
+        const host = ValidationUtils.normalizeHost(report.host);
+        if (!host || APIUtils.resolveEndpoints(host).apiHost !== appState.apiHost) {
+            throw new Error(`the run was on ${report.host || 'github.com'}, but you are signed in to ${appState.apiHost}`);
+        }
+        
+        appState.lastRun = {
+            org: appState.orgName,
+            host: appState.apiHost,
+            useCase: report.useCase || 'imported',
+            // Without the prompt the run can be tracked and rolled back, but not retried
+            context: null,
+            startedAt: report.startedAt || new Date().toISOString(),
+            finishedAt: report.finishedAt || null,
+            cancelled: Boolean(report.cancelled),
+            // Waves that had not started are not in the file, so the rollout cannot be continued
+            rollout: null,
+            results: report.results
+                .filter(record => record && typeof record === 'object')
+                .map(record => fromResultRecord(record, appState.apiHost))
+        };
+        appState.tracking = null;
+        
+        Logger.info('Results file opened', { file: file.name, results: appState.lastRun.results.length });
+        goToStep(5);
+        showNotification(`Opened ${appState.lastRun.results.length} results from ${file.name}.`, 'success');
+    } catch (error) {
+        showNotification(`Could not open results: ${error.message}`, 'error');
+    } finally {
+        // Allow the same file to be opened again
+        input.value = '';
+    }
+}
+
+/**
+ * Issues of the last run that can be tracked, including existing issues a run skipped
+ * @returns {Array<Object>} Issues as { org, repo, number, url, wave }
+ */
+function getTrackedIssues() {
+    if (!appState.lastRun) return [];
+    return appState.lastRun.results
+        .filter(entry => entry.issue && entry.issue.number)
+        .map(entry => ({ 
+            org: appState.lastRun.org,
+            repo: entry.repo, 
+            number: entry.issue.number, 
+            url: entry.issueUrl || entry.issue.html_url,
+            wave: entry.wave ?? null
+        }));
+}
+
+let trackingRequest = null;
+let trackingTimer = null;
+
+/**
+ * Read the current state of every tracked issue and its pull requests
+ */
+async function refreshTracking() {
+    const issues = getTrackedIssues();
+    if (issues.length === 0 || trackingRequest) return;
+    
+    const updated = document.getElementById('tracking-updated');
+    const refreshBtn = document.getElementById('tracking-refresh');
+    refreshBtn.disabled = true;
+    updated.textContent = `Refreshing ${issues.length} issues...`;
+    
+    try {
+        trackingRequest = IssueTracker.fetchStatuses(issues, (checked, total) => {
+            updated.textContent = `Refreshing... (${checked}/${total})`;
+        });
+        const statuses = await trackingRequest;
+        appState.tracking = { statuses, updatedAt: new Date() };
+        Logger.info('Tracking refreshed', { issues: issues.length });
+    } catch (error) {
+        Logger.error('Tracking refresh failed', error);
+        showNotification(`Could not refresh tracking: ${getWorkflowErrorMessage(error)}`, 'error');
+    } finally {
+        trackingRequest = null;
+        refreshBtn.disabled = false;
+        renderTracking();
+    }
+}
+
+/**
+ * Poll at the interval chosen in the tracking step
+ */
+function scheduleTrackingRefresh() {
+    stopTrackingRefresh();
+    const minutes = parseInt(document.getElementById('tracking-interval').value, 10);
+    if (minutes > 0) {
+        trackingTimer = setInterval(refreshTracking, minutes * 60 * 1000);
+    }
+}
+
+function stopTrackingRefresh() {
+    if (trackingTimer) {
+        clearInterval(trackingTimer);
+        trackingTimer = null;
+    }
+}
+
+/**
+ * Status of a tracked issue, classified for display
+ * @param {Object} issue - Tracked issue
+ * @returns {Object} Status from IssueTracker, with progress 'error' or 'pending' when unknown
+ */
+function getTrackingStatus(issue) {
+    const statuses = appState.tracking ? appState.tracking.statuses : new Map();
+    const status = statuses.get(IssueTracker.key(issue.repo, issue.number));
+    if (!status) return { progress: 'pending' };
+    if (status.error) return { ...status, progress: 'error' };
+    return status;
+}
+
+const TRACKING_BADGES = {
+    merged: '<span class="status-badge status-success">🟣 Merged</span>',
+    open: '<span class="status-badge status-success">🟢 Open</span>',
+    draft: '<span class="status-badge status-warning">📝 Draft</span>',
+    closed: '<span class="status-badge status-error">⛔ Closed unmerged</span>',
+    working: '<span class="status-badge status-warning">🤖 Working</span>',
+    unassigned: '<span class="status-badge status-error">⚠️ Not assigned</span>',
+    'issue-closed': '<span class="status-badge">✖️ Issue closed</span>',
+    error: '<span class="status-badge status-error">❌ Unknown</span>',
+    pending: '<span class="status-badge">⏳ Loading</span>'
+};
+
+/**
+ * Render the tracking step: overall progress, counts and one row per issue
+ */
+function renderTracking() {
+    const issues = getTrackedIssues();
+    const tbody = document.getElementById('tracking-tbody');
+    const statsDiv = document.getElementById('tracking-stats');
+    tbody.innerHTML = '';
+    statsDiv.innerHTML = '';
+    
+    const tracked = issues.map(issue => ({ issue, status: getTrackingStatus(issue) }));
+    const counts = {};
+    tracked.forEach(({ status }) => { counts[status.progress] = (counts[status.progress] || 0) + 1; });
+    const count = (...states) => states.reduce((sum, state) => sum + (counts[state] || 0), 0);
+    
+    [
+        ['Issues', issues.length],
+        ['Pull request opened', count('draft', 'open', 'merged', 'closed')],
+        ['Merged', count('merged')],
+        ['In review', count('open', 'draft')],
+        ['Working, no PR yet', count('working')],
+        ['Needs attention', count('unassigned', 'issue-closed', 'closed', 'error')]
+    ].forEach(([label, value]) => {
+        const stat = document.createElement('div');
+        stat.className = 'results-stat';
+        stat.innerHTML = `
+            <span class="results-stat-value">${value}</span>
+            <span class="results-stat-label">${label}</span>
+        `;
+        statsDiv.appendChild(stat);
+    });
+    
+    // One bar segment per state, most progressed first
+    const bar = document.getElementById('tracking-progress-bar');
+    bar.innerHTML = [...IssueTracker.STATES].reverse().concat('error', 'pending')
+        .filter(state => counts[state])
+        .map(state => `<div class="tracking-segment tracking-${state}" style="width: ${(counts[state] / issues.length) * 100}%" title="${counts[state]} ${state}"></div>`)
+        .join('');
+    const percent = (value) => issues.length ? Math.round((value / issues.length) * 100) : 0;
+    document.getElementById('tracking-progress-label').textContent = appState.tracking
+        ? `${percent(count('merged'))}% merged, ${percent(count('draft', 'open', 'merged', 'closed'))}% have a pull request`
+        : '';
+    
+    const filter = document.getElementById('tracking-filter').value;
+    tracked
+        .filter(({ status }) => filter === 'all' || status.progress === filter)
+        .forEach(({ issue, status }) => {
+            const pr = status.pullRequest;
+            const escape = (value) => MarkdownUtils.escapeHtml(String(value));
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><span class="repo-name">${escape(issue.repo)}</span></td>
+                <td>
+                    ${issue.url ? `<a href="${escape(issue.url)}" target="_blank" class="repo-name">#${escape(issue.number)}</a>` : `#${escape(issue.number)}`}
+                    ${status.state ? `<span class="muted-text">${escape(status.state)}${status.stateReason ? ` (${escape(status.stateReason.replace(/_/g, ' '))})` : ''}</span>` : ''}
+                </td>
+                <td>${status.assignees ? MarkdownUtils.escapeHtml(status.assignees.join(', ')) || '-' : '-'}</td>
+                <td>${pr 
+                    ? `<a href="${escape(pr.url)}" target="_blank" class="repo-name">#${escape(pr.number)}</a> <span class="muted-text">by ${MarkdownUtils.escapeHtml(pr.author || 'unknown')}</span>` 
+                    : '-'}</td>
+                <td>${TRACKING_BADGES[status.progress]}${status.error ? ` <span class="muted-text">${MarkdownUtils.escapeHtml(status.error)}</span>` : ''}</td>
+                <td>${status.updatedAt ? new Date((pr && pr.updatedAt) || status.updatedAt).toLocaleString() : '-'}</td>
+            `;
+            tbody.appendChild(row);
+        });
+    
+    document.getElementById('tracking-updated').textContent = appState.tracking 
+        ? `Updated ${appState.tracking.updatedAt.toLocaleTimeString()}` 
+        : '';
+    renderRolloutStatus('tracking-rollout');
+}
+
+/**
+ * Export the tracking status of every issue as CSV
+ */
+function exportTrackingCSV() {
+    if (!appState.lastRun) return;
+    
+    const records = getTrackedIssues().map(issue => {
+        const status = getTrackingStatus(issue);
+        const pr = status.pullRequest;
+        return {
+            repository: issue.repo,
+            wave: issue.wave,
+            issueNumber: issue.number,
+            issueUrl: issue.url,
+            issueState: status.state,
+            assignees: (status.assignees || []).join(' '),
+            status: status.progress,
+            pullRequestNumber: pr ? pr.number : null,
+            pullRequestUrl: pr ? pr.url : null,
+            pullRequestAuthor: pr ? pr.author : null,
+            lastActivity: (pr && pr.updatedAt) || status.updatedAt
+        };
+    });
+    
+    downloadFile(getResultsFilename('tracking.csv'), toCSV(Object.keys(records[0] || {}), records), 'text/csv');
+}
+
+/**
+ * Dry run of the workflow: resolves the same targets as executeWorkflow and
+ * previews each issue without creating issues or assigning Copilot
+ */
+async function previewWorkflow() {
+    try {
+        showLoading('Preparing dry run...');
+        beginControlledRun();
+        Logger.info('Starting dry run', { 
+            useCase: appState.selectedUseCase,
+            selectionMethod: appState.selectionMethod,
+            org: appState.orgName
+        });
+        
+        prepareWorkflow();
+        
+        const targetRepos = await resolveTargetRepos();
+        await primeCopilotEligibility(targetRepos);
+        
+        const preview = await ExecutionScheduler.run(targetRepos, repo => previewRepository(repo.name), {
+            onProgress: (completed, total, repo) => 
+                updateLoadingMessage(`Previewed ${completed}/${total} repositories (latest: ${repo.name})`)
+        });
+        
+        if (RunControl.cancelled) {
+            showNotification('Dry run cancelled. No preview was generated.', 'warning');
+            return;
+        }
+        
+        appState.dryRunResults = preview;
+        
+        Logger.info('Dry run completed', { 
+            total: preview.length,
+            copilotAvailable: preview.filter(p => p.copilotAvailable).length
+        });
+        
+        renderDryRunPreview();
+        
+    } catch (error) {
+        Logger.error('Dry run error', error);
+        alert(`Dry run failed: ${getWorkflowErrorMessage(error)}`);
+    } finally {
+        hideLoading();
+        endControlledRun();
+    }
+}
+
+/**
+ * Render the dry run results as a reviewable table in step 4
+ */
+function renderDryRunPreview() {
+    const container = document.getElementById('dry-run-preview');
+    const tbody = document.getElementById('dry-run-tbody');
+    const summary = document.getElementById('dry-run-summary');
+    const preview = appState.dryRunResults || [];
+    
+    tbody.innerHTML = '';
+    
+    preview.forEach(entry => {
+        const row = document.createElement('tr');
+        if (entry.error) {
+            row.innerHTML = `
+                <td><span class="repo-name">${MarkdownUtils.escapeHtml(entry.repo)}</span></td>
+                <td colspan="5"><span class="status-badge status-error">❌ Could not preview</span> ${MarkdownUtils.escapeHtml(entry.error)}</td>
+            `;
+            tbody.appendChild(row);
+            return;
+        }
+        
+        let copilotStatus;
+        if (entry.copilotError) {
+            copilotStatus = `<span class="status-badge status-warning" title="${ValidationUtils.sanitizeString(entry.copilotError)}">⚠️ Unknown</span>`;
+        } else if (entry.copilotAvailable) {
+            copilotStatus = '<span class="status-badge status-success">✅ Assignable</span>';
+        } else {
+            copilotStatus = '<span class="status-badge status-error">❌ Not available</span>';
+        }
+        
+        // Issue bodies are already sanitized by buildIssueData, exactly as they will be sent
+        row.innerHTML = `
+            <td><span class="repo-name">${entry.repo}</span></td>
+            <td>${entry.title}</td>
+            <td>${entry.plannedAction}</td>
+            <td>${entry.labels.map(label => `<span class="language-badge">${label}</span>`).join(' ')}</td>
+            <td>${copilotStatus}</td>
+            <td>
+                <details>
+                    <summary>View body</summary>
+                    <pre class="issue-body-preview">${entry.body}</pre>
+                </details>
+                ${entry.unresolvedVariables.length > 0 
+                    ? `<span class="status-badge status-warning">⚠️ Empty: ${entry.unresolvedVariables.join(', ')}</span>` 
+                    : ''}
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    const assignableCount = preview.filter(p => p.copilotAvailable).length;
+    const newIssueCount = preview.filter(p => p.plannedAction.startsWith('Create')).length;
+    const failedCount = preview.filter(p => p.error).length;
+    summary.textContent = `${newIssueCount} of ${preview.length} repositories would get a new issue. Copilot can be assigned in ${assignableCount} of ${preview.length} repositories.` +
+        `${failedCount > 0 ? ` ${failedCount} could not be previewed.` : ''} Nothing has been created yet.`;
+    
+    container.classList.remove('hidden');
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Discard the dry run results, e.g. after the prompt has been edited
+ */
+function clearDryRunPreview() {
+    appState.dryRunResults = null;
+    const container = document.getElementById('dry-run-preview');
+    if (container) container.classList.add('hidden');
+}
+
+/**
+ * Check every target repository for issues and Copilot assignability before execution
+ */
+async function runEligibilityPreflight() {
+    try {
+        showLoading('Checking Copilot eligibility...');
+        beginControlledRun();
+        
+        // Check the full selection, including repositories excluded by an earlier preflight
+        const excludedRepos = appState.excludedRepos;
+        appState.excludedRepos = new Set();
+        let targetRepos;
+        try {
+            targetRepos = await resolveTargetRepos();
+        } finally {
+            appState.excludedRepos = excludedRepos;
+        }
+        
+        // Always ask GitHub again: settings may have changed since the last check
+        const repoNames = targetRepos.map(repo => repo.name);
+        CopilotActor.forget(repoNames);
+        const statuses = await CopilotActor.check(repoNames, (checked, total) => 
+            updateLoadingMessage(`Checked ${checked}/${total} repositories...`));
+        const results = repoNames.map(name => toEligibilityEntry(name, statuses.get(name)));
+        
+        if (RunControl.cancelled) {
+            showNotification('Eligibility check cancelled.', 'warning');
+            return;
+        }
+        
+        // Ineligible repositories are excluded until the user includes them
+        appState.eligibility = results;
+        appState.excludedRepos = new Set(results.filter(entry => !entry.eligible).map(entry => entry.repo));
+        
+        Logger.info('Eligibility preflight completed', { 
+            total: results.length, 
+            ineligible: appState.excludedRepos.size 
+        });
+        
+        renderEligibilityPreflight();
+        clearDryRunPreview();
+        
+    } catch (error) {
+        Logger.error('Eligibility preflight error', error);
+        alert(`Eligibility check failed: ${getWorkflowErrorMessage(error)}`);
+    } finally {
+        hideLoading();
+        endControlledRun();
+    }
+}
+
+/**
+ * Render the eligibility preflight, listing only repositories that need a decision
+ */
+function renderEligibilityPreflight() {
+    const container = document.getElementById('eligibility-preflight');
+    const tbody = document.getElementById('eligibility-tbody');
+    const summary = document.getElementById('eligibility-summary');
+    const results = appState.eligibility || [];
+    const ineligible = results.filter(entry => !entry.eligible);
+    
+    tbody.innerHTML = '';
+    ineligible.forEach(entry => {
+        const row = document.createElement('tr');
+        const excluded = appState.excludedRepos.has(entry.repo);
+        const status = (ok) => entry.error 
+            ? '<span class="status-badge status-warning">⚠️ Unknown</span>'
+            : ok 
+                ? '<span class="status-badge status-success">✅ Yes</span>' 
+                : '<span class="status-badge status-error">❌ No</span>';
+        row.innerHTML = `
+            <td><input type="checkbox" data-repo-name="${entry.repo}" ${excluded ? '' : 'checked'}></td>
+            <td><span class="repo-name">${entry.repo}</span></td>
+            <td>${status(entry.hasIssuesEnabled && !entry.isArchived)}</td>
+            <td>${status(entry.copilotAvailable)}</td>
+            <td>${entry.reasons.map(reason => MarkdownUtils.escapeHtml(reason)).join('<br>')}</td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    document.getElementById('eligibility-table-container').classList.toggle('hidden', ineligible.length === 0);
+    document.getElementById('eligibility-actions').classList.toggle('hidden', ineligible.length === 0);
+    
+    if (ineligible.length === 0) {
+        summary.textContent = `All ${results.length} repositories have issues enabled and can be assigned to Copilot.`;
+    } else {
+        const included = ineligible.length - appState.excludedRepos.size;
+        summary.textContent = `${results.length - ineligible.length} of ${results.length} repositories are eligible. ` +
+            `${appState.excludedRepos.size} ineligible repositories will be skipped` +
+            (included > 0 ? ` and ${included} will be processed anyway, without an agent picking up their issues.` : '.') +
+            ' Tick a repository to include it anyway.';
+    }
+    
+    container.classList.remove('hidden');
+}
+
+/**
+ * Include or exclude a single ineligible repository
+ * @param {Event} event - Change event from the eligibility table
+ */
+function handleEligibilityToggle(event) {
+    const repoName = event.target.dataset.repoName;
+    if (!repoName) return;
+    
+    if (event.target.checked) {
+        appState.excludedRepos.delete(repoName);
+    } else {
+        appState.excludedRepos.add(repoName);
+    }
+    clearDryRunPreview();
+    renderEligibilityPreflight();
+}
+
+/**
+ * Exclude or include every ineligible repository at once
+ * @param {boolean} excluded - Whether ineligible repositories should be skipped
+ */
+function setIneligibleExcluded(excluded) {
+    const ineligible = (appState.eligibility || []).filter(entry => !entry.eligible).map(entry => entry.repo);
+    appState.excludedRepos = excluded ? new Set(ineligible) : new Set();
+    clearDryRunPreview();
+    renderEligibilityPreflight();
+}
+
+/**
+ * Discard the preflight and its exclusions, e.g. after the repository selection changed
+ */
+function clearEligibilityPreflight() {
+    appState.eligibility = null;
+    appState.excludedRepos = new Set();
+    const container = document.getElementById('eligibility-preflight');
+    if (container) container.classList.add('hidden');
+}
+
+/**
+ * Ask the user to confirm before running with variables that cannot be resolved
+ * @returns {boolean} True if execution may continue
+ */
+function confirmTemplateVariables() {
+    const unknown = getUnknownPromptVariables();
+    if (unknown.length === 0) return true;
+    
+    return confirm(
+        `The issue title or prompt uses variables that cannot be resolved and will be left empty:\n\n` +
+        `${unknown.map(name => `{{${name}}}`).join('\n')}\n\nContinue anyway?`
+    );
+}
+
+// UI helper functions
+function showLoading(message = 'Loading...') {
+    loadingMessage.textContent = message;
+    loadingModal.classList.remove('hidden');
+}
+
+function hideLoading() {
     loadingModal.classList.add('hidden');
 }
 
@@ -2008,19 +4168,58 @@ function updateLoadingMessage(message) {
     loadingMessage.textContent = message;
 }
 
-function showSuccess() {
-    successModal.classList.remove('hidden');
-    // Attach handler to restart button (if not already attached)
-    const restartBtn = document.querySelector('.restart-btn');
-    if (restartBtn && !restartBtn.dataset.bound) {
-        restartBtn.addEventListener('click', function (e) {
-            e.preventDefault();
-            // Clear the hash and reload to start fresh at step 1
-            window.location.hash = '';
-            location.reload();
-        });
-        restartBtn.dataset.bound = 'true';
+/**
+ * Start a controllable run and show Pause/Resume/Cancel in the loading modal
+ */
+function beginControlledRun() {
+    RunControl.start();
+    document.getElementById('run-controls').classList.remove('hidden');
+    updateRunControls();
+}
+
+/**
+ * Finish the controllable run and hide its controls
+ */
+function endControlledRun() {
+    RunControl.finish();
+    document.getElementById('run-controls').classList.add('hidden');
+}
+
+function updateRunControls() {
+    document.getElementById('run-pause').classList.toggle('hidden', RunControl.paused);
+    document.getElementById('run-resume').classList.toggle('hidden', !RunControl.paused);
+    document.getElementById('run-cancel').disabled = RunControl.cancelled;
+}
+
+function handleRunPause() {
+    RunControl.pause();
+    updateRunControls();
+    updateLoadingMessage('Paused. Requests already in flight will finish; no new repositories will be started.');
+    Logger.info('Run paused');
+}
+
+function handleRunResume() {
+    RunControl.resume();
+    updateRunControls();
+    updateLoadingMessage('Resuming...');
+    Logger.info('Run resumed');
+}
+
+function handleRunCancel() {
+    if (!confirm('Cancel this run? Repositories already processed keep their issues; no new repositories will be started.')) {
+        return;
     }
+    RunControl.cancel();
+    updateRunControls();
+    updateLoadingMessage('Cancelling... waiting for in-flight requests to stop.');
+    Logger.warn('Run cancelled by user');
+}
+
+function restartWorkflow(e) {
+    e.preventDefault();
+    // Clear the hash and reload to start fresh at step 1
+    window.location.hash = '';
+    location.reload();
 }
 
 function showNotification(message, type = 'info') {